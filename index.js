@@ -6,42 +6,357 @@
 
 import { GoogleSpreadsheet } from 'google-spreadsheet';
 import { JWT } from 'google-auth-library';
+import crypto from 'crypto';
 import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
 import readline from 'readline';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
 import boxen from 'boxen';
 import chalk from 'chalk';
 import figlet from 'figlet';
 import cliCursor from 'cli-cursor';
 
-// Konfiguration für Google Sheets API
-const SPREADSHEET_ID = 'xxxxx';
-const CREDENTIALS_PATH = './credentials.json';
+// Verzeichnisse für Programm und Konfiguration
+const APP_DIR = path.dirname(fileURLToPath(import.meta.url));
+const CONFIG_DIR = path.join(os.homedir(), '.config', 'tododos');
+
+// Übersetzungen der Oberfläche: Deutsch ist die Ausgangssprache, jede weitere Sprache liegt als
+// locales/<sprache>.json neben dem Programm und bildet den deutschen Text auf die Übersetzung ab
+const LOCALES_DIR = path.join(APP_DIR, 'locales');
+
+// Spalten im Sheet bzw. in der SQLite-Tabelle - neue Spalten werden hinten angehängt,
+// damit bestehende Sheets und Datenbanken erhalten bleiben
+const SHEET_HEADER = ['title', 'status', 'priority', 'dueDate', 'tags', 'id', 'parent', 'recur', 'notes', 'createdAt', 'updatedAt', 'completedAt', 'blockedBy', 'recurFrom'];
+
+// Zeitstempel, die TodoDOS selbst pflegt - bei Konflikten gewinnt der spätere Wert
+const TIMESTAMP_FIELDS = ['createdAt', 'updatedAt', 'completedAt'];
+
+// Standardwerte für Felder, die in älteren Caches noch fehlen
+const TASK_DEFAULTS = { parent: '', recur: '', notes: '', createdAt: '', updatedAt: '', completedAt: '', blockedBy: '', recurFrom: '' };
+
+// Maximale Anzahl rückgängig machbarer Schritte je Liste
+const HISTORY_LIMIT = 100;
+
+// Eingabehilfe für Wiederholungsregeln
+const RECURRENCE_HINT = 'täglich, werktags, wöchentlich:mo,fr, monatlich:15, alle:3';
+
+// Gültige Prioritäten
+const PRIORITIES = ['normal', 'hoch', 'niedrig'];
+
+// Anfang und Ende des Status-Ablaufs: neue Aufgaben sind offen, der letzte Status gilt als erledigt.
+// Beide sind fest, damit gespeicherte Aufgaben mit jeder Konfiguration gleich gelesen werden,
+// "statuses" in der Konfiguration ergänzt nur Zwischenschritte.
+const DEFAULT_STATUSES = ['offen', 'erledigt'];
+
+// Eingaben in beiden Sprachen, abgebildet auf die im Sheet gespeicherten Werte
+const PRIORITY_INPUTS = { hoch: 'hoch', high: 'hoch', normal: 'normal', niedrig: 'niedrig', low: 'niedrig' };
+const STATUS_INPUTS = { offen: 'offen', open: 'offen', erledigt: 'erledigt', done: 'erledigt' };
+const NONE_INPUTS = ['keine', 'none'];
+const YES_INPUTS = ['j', 'ja', 'y', 'yes'];
+
+// Speicher für die Aufgaben: Google Sheets, eine JSON-Datei oder eine SQLite-Datenbank
+const STORAGE_TYPES = ['sheets', 'json', 'sqlite'];
+const STORAGE_LABELS = { sheets: 'Google Sheets', json: 'JSON-Datei', sqlite: 'SQLite-Datenbank' };
+const STORAGE_EXTENSIONS = { json: 'json', sqlite: 'db' };
+
+// Zeiterfassung: Spalten der Arbeitssitzungen und Name des Arbeitsblatts in Google Sheets,
+// das deshalb nicht als Liste erscheint
+const SESSION_HEADER = ['id', 'taskId', 'list', 'title', 'start', 'end'];
+const SESSIONS_SHEET = 'Zeiterfassung';
+
+// Eingabehilfe für den Zeitraum des Stundenzettels
+const TIMESHEET_HINT = 'woche, monat, letzte woche, letzter monat oder <von> bis <bis>';
+
+// Standardadresse für "tododos serve"
+const SERVE_PORT = 8080;
+const SERVE_HOST = '127.0.0.1';
+
+// Exit-Codes im Kommandozeilen-Modus
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+const EXIT_OFFLINE = 3;
 
 // Initialisierung
-let doc;
+let config = {};
+let language = 'de';
+let translations = {};
+let storage = null;
 let tasks = [];
 let selectedIndex = 0;
 let view = 'main';
-let searchTerm = '';
+let boardColumn = 0;
+let boardTaskId = '';
+let keyboardMode = false;
+let keysActive = false;
+let scrollOffset = 0;
+let statusMessage = '';
+let interactive = false;
+let autosaveTimer = null;
+let currentSave = null;
+let query = '';
 let rl;
+// Ablehnen der gerade offenen Rückfrage von ask()
+let pendingQuestion = null;
+let online = false;
+let pendingChanges = [];
+let baseTasks = [];
+let currentList = '';
+let history = [];
+let redoStack = [];
+let recordingHistory = true;
+let batchOperations = null;
+let collapsed = [];
+let marked = [];
+let hideBlocked = false;
+let sessions = [];
+let unsavedSessions = [];
+
+// Text der Oberfläche in der eingestellten Sprache. Platzhalter wie {title} werden aus
+// "params" ersetzt; fehlt eine Übersetzung, bleibt der deutsche Text stehen.
+function t(text, params = {}) {
+  const translated = translations[text] ?? text;
+  return translated.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// Verfügbare Sprachen (Deutsch und alle Dateien in locales/)
+function getLanguages() {
+  const files = fs.existsSync(LOCALES_DIR) ? fs.readdirSync(LOCALES_DIR) : [];
+  return ['de', ...files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -5))];
+}
+
+// Sprache setzen - akzeptiert auch Werte wie "en_US.UTF-8" aus LANG, unbekannte Sprachen ergeben Deutsch
+function setLanguage(value) {
+  const code = String(value || '').toLowerCase().split(/[_.@-]/)[0];
+  language = getLanguages().includes(code) ? code : 'de';
+  translations = language === 'de'
+    ? {}
+    : JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${language}.json`), 'utf8'));
+  return language;
+}
+
+// Angezeigte Bezeichnung eines Status bzw. einer Priorität - gespeichert wird immer der deutsche Wert
+function statusLabel(status) {
+  return t(status);
+}
+
+// Status-Ablauf aus der Konfiguration
+function getStatuses() {
+  return config.statuses || DEFAULT_STATUSES;
+}
+
+function initialStatus() {
+  return getStatuses()[0];
+}
+
+function doneStatus() {
+  const statuses = getStatuses();
+  return statuses[statuses.length - 1];
+}
+
+function isDone(task) {
+  return task.status === doneStatus();
+}
+
+// Position eines Status im Ablauf - Zwischenschritte, die nicht (mehr) konfiguriert sind, zählen als offen
+function statusIndex(status) {
+  return Math.max(0, getStatuses().indexOf(status));
+}
+
+// Status einen Schritt weiter (1) bzw. zurück (-1) im Ablauf, null am Anfang bzw. Ende
+function stepStatus(task, step) {
+  const statuses = getStatuses();
+  return statuses[statusIndex(task.status) + step] || null;
+}
+
+// Farbe eines Status: erster gelb, Zwischenschritte cyan, erledigt grün
+function statusColor(status) {
+  const index = statusIndex(status);
+  return index === getStatuses().length - 1 ? chalk.green : index === 0 ? chalk.yellow : chalk.cyan;
+}
+
+// Breite der Statusspalte in der Aufgabenliste
+function getStatusWidth() {
+  return Math.max(8, ...getStatuses().map(status => statusLabel(status).length));
+}
+
+function priorityLabel(priority) {
+  return t(priority);
+}
+
+// Priorität bzw. Status aus einer Eingabe in beiden Sprachen lesen (null, falls unbekannt)
+function parsePriority(text) {
+  return PRIORITY_INPUTS[String(text || '').trim().toLowerCase()] || null;
+}
+
+// Status dürfen ohne Leerzeichen und Bindestriche angegeben werden, z.B. "inarbeit" für "in Arbeit"
+function statusKey(text) {
+  return String(text || '').trim().toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+function parseStatus(text) {
+  const input = statusKey(text);
+  const match = getStatuses().find(status => statusKey(status) === input || statusKey(statusLabel(status)) === input);
+  if (match) {
+    return match;
+  }
+  const fixed = STATUS_INPUTS[input];
+  return fixed === 'offen' ? initialStatus() : fixed === 'erledigt' ? doneStatus() : null;
+}
+
+// "keine" bzw. "none" zum Leeren eines Feldes
+function isNone(text) {
+  return NONE_INPUTS.includes(String(text || '').trim().toLowerCase());
+}
+
+// Zustimmung auf eine Ja/Nein-Frage ("j", "ja", "y", "yes")
+function isYes(answer) {
+  return YES_INPUTS.includes(String(answer || '').trim().toLowerCase());
+}
+
+// "~" am Anfang eines Pfades durch das Home-Verzeichnis ersetzen
+function expandHome(filePath) {
+  return filePath.startsWith('~') ? path.join(os.homedir(), filePath.slice(1)) : filePath;
+}
+
+// Konfiguration zusammensetzen. Vorrang: Kommandozeile, Umgebungsvariablen,
+// Profil aus der Konfigurationsdatei, allgemeine Werte aus der Konfigurationsdatei
+function loadConfig(options = {}) {
+  const configPath = path.resolve(expandHome(
+    options.config || process.env.TODODOS_CONFIG || path.join(CONFIG_DIR, 'config.json')
+  ));
+  const explicitPath = Boolean(options.config || process.env.TODODOS_CONFIG);
+  const languageFromCli = options.lang || process.env.TODODOS_LANG;
+
+  // Sprache vorab setzen, damit schon Fehler beim Lesen der Konfiguration übersetzt sind
+  setLanguage(languageFromCli || process.env.LANG);
+
+  let file = {};
+  if (fs.existsSync(configPath)) {
+    try {
+      file = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(t('Konfigurationsdatei {path} ist ungültig: {error}', { path: configPath, error: error.message }));
+    }
+  } else if (explicitPath) {
+    throw new Error(t('Konfigurationsdatei {path} nicht gefunden', { path: configPath }));
+  }
+
+  const { profiles = {}, defaultProfile, ...general } = file;
+  const profileName = options.profile || process.env.TODODOS_PROFILE || defaultProfile || 'default';
+  if (profileName !== 'default' && !profiles[profileName]) {
+    throw new Error(t('Profil "{profile}" nicht in {path} gefunden', { profile: profileName, path: configPath }));
+  }
+  const settings = { ...general, ...profiles[profileName] };
+  setLanguage(languageFromCli || settings.language || process.env.LANG);
+
+  // Pfade aus der Konfigurationsdatei gelten relativ zu ihr, Pfade von Kommandozeile
+  // und Umgebung relativ zum aktuellen Verzeichnis
+  const configDir = path.dirname(configPath);
+  const credentialsFromCli = options.credentials || process.env.TODODOS_CREDENTIALS;
+  const credentialsPath = credentialsFromCli
+    ? path.resolve(expandHome(credentialsFromCli))
+    : settings.credentials
+      ? path.resolve(configDir, expandHome(settings.credentials))
+      : path.join(APP_DIR, 'credentials.json');
+  const storageType = options.storage || process.env.TODODOS_STORAGE || settings.storage || 'sheets';
+  if (!STORAGE_TYPES.includes(storageType)) {
+    throw new Error(t('Unbekannter Speicher "{storage}" ({types})', { storage: storageType, types: STORAGE_TYPES.join(', ') }));
+  }
+  const fileFromCli = options.file || process.env.TODODOS_FILE;
+  const storagePath = storageType === 'sheets'
+    ? ''
+    : fileFromCli
+      ? path.resolve(expandHome(fileFromCli))
+      : settings.file
+        ? path.resolve(configDir, expandHome(settings.file))
+        : defaultStoragePath(storageType, configDir, profileName);
+  const icsFromCli = options.ics || process.env.TODODOS_ICS;
+  const icsPath = icsFromCli
+    ? path.resolve(expandHome(icsFromCli))
+    : settings.ics
+      ? path.resolve(configDir, expandHome(settings.ics))
+      : '';
+
+  config = {
+    ...settings,
+    configPath,
+    profile: profileName,
+    profileNames: Object.keys(profiles),
+    spreadsheetId: options.sheet || process.env.TODODOS_SHEET || settings.spreadsheetId || '',
+    list: options.list || process.env.TODODOS_LIST || settings.list || '',
+    credentialsPath,
+    storage: storageType,
+    storagePath,
+    icsPath,
+    language,
+    port: options.port || process.env.TODODOS_PORT || settings.port || SERVE_PORT,
+    host: options.host || settings.host || SERVE_HOST,
+    token: options.token || process.env.TODODOS_TOKEN || settings.token || '',
+    cors: settings.cors || '',
+    statuses: parseStatusesSetting(settings.statuses),
+    // Getrennter Cache je Speicher, damit ein Wechsel keine fremden Änderungen überträgt
+    cachePath: path.join(configDir, storageType === 'sheets' ? `cache-${profileName}.json` : `cache-${profileName}-${storageType}.json`),
+  };
+  return config;
+}
 
-// Google Sheets Verbindung herstellen
-async function connectToSheet() {
+// Einstellung "statuses" lesen: verschiedene Zwischenschritte in der Reihenfolge des Ablaufs,
+// die zwischen "offen" und "erledigt" eingefügt werden
+function parseStatusesSetting(value) {
+  if (value === undefined) {
+    return DEFAULT_STATUSES;
+  }
+  const steps = Array.isArray(value) ? value.map(status => String(status).trim()) : null;
+  const keys = steps ? new Set(steps.map(statusKey)) : null;
+  if (!steps || steps.some(status => !status || STATUS_INPUTS[statusKey(status)]) || keys.size !== steps.length) {
+    throw new Error(t('Ungültige Einstellung "statuses": erwartet verschiedene Zwischenschritte ohne "offen" und "erledigt", z.B. ["in Arbeit", "wartet", "Review"]'));
+  }
+  return [DEFAULT_STATUSES[0], ...steps, DEFAULT_STATUSES[1]];
+}
+
+// Standardpfad der JSON-Datei bzw. SQLite-Datenbank eines Profils neben der Konfigurationsdatei
+function defaultStoragePath(type, configDir, profileName) {
+  return path.join(configDir, `tasks-${profileName}.${STORAGE_EXTENSIONS[type]}`);
+}
+
+// Konfigurationsdatei lesen, verändern und zurückschreiben
+function updateConfigFile(update) {
+  const file = fs.existsSync(config.configPath)
+    ? JSON.parse(fs.readFileSync(config.configPath, 'utf8'))
+    : {};
+  update(file);
+  fs.mkdirSync(path.dirname(config.configPath), { recursive: true });
+  fs.writeFileSync(config.configPath, JSON.stringify(file, null, 2));
+}
+
+// Google Sheets Verbindung herstellen - liefert das Spreadsheet oder null
+async function connectToSheet({ spreadsheetId, credentialsPath }) {
   try {
+    if (!spreadsheetId) {
+      console.error(chalk.red(t('✗ Keine Sheet-ID konfiguriert!')));
+      console.error(chalk.yellow(t('   Setze "spreadsheetId" in {path}, TODODOS_SHEET oder --sheet', { path: config.configPath })));
+      return null;
+    }
+
     // Prüfe ob credentials.json existiert
-    if (!fs.existsSync(CREDENTIALS_PATH)) {
-      console.error(chalk.red('✗ credentials.json nicht gefunden!'));
-      console.error(chalk.yellow('   Bitte erstelle eine Service Account credentials.json Datei'));
-      return false;
+    if (!fs.existsSync(credentialsPath)) {
+      console.error(chalk.red(t('✗ credentials.json nicht gefunden!')));
+      console.error(chalk.yellow(t('   Bitte erstelle eine Service Account credentials.json Datei')));
+      console.error(chalk.dim(t('   Erwartet unter: {path}', { path: credentialsPath })));
+      return null;
     }
 
-    const credentials = JSON.parse(fs.readFileSync(CREDENTIALS_PATH, 'utf8'));
+    const credentials = JSON.parse(fs.readFileSync(credentialsPath, 'utf8'));
     
     // Prüfe ob alle notwendigen Felder vorhanden sind
     if (!credentials.client_email || !credentials.private_key) {
-      console.error(chalk.red('✗ Unvollständige credentials.json'));
-      console.error(chalk.yellow('   client_email oder private_key fehlt'));
-      return false;
+      console.error(chalk.red(t('✗ Unvollständige credentials.json')));
+      console.error(chalk.yellow(t('   client_email oder private_key fehlt')));
+      return null;
     }
 
     const serviceAccountAuth = new JWT({
@@ -50,688 +365,6039 @@ async function connectToSheet() {
       scopes: ['https://www.googleapis.com/auth/spreadsheets'],
     });
 
-    doc = new GoogleSpreadsheet(SPREADSHEET_ID, serviceAccountAuth);
+    const doc = new GoogleSpreadsheet(spreadsheetId, serviceAccountAuth);
     await doc.loadInfo();
     
-    console.log(chalk.green('✓ Verbindung zu Google Sheets hergestellt'));
-    console.log(chalk.dim(`   Sheet: ${doc.title}`));
-    console.log(chalk.dim(`   Service Account: ${credentials.client_email}`));
-    return true;
+    logStatus(chalk.green(t('✓ Verbindung zu Google Sheets hergestellt')));
+    logStatus(chalk.dim(`   Sheet: ${doc.title}`));
+    logStatus(chalk.dim(`   Service Account: ${credentials.client_email}`));
+    logStatus(chalk.dim(t('   Profil: {profile}', { profile: config.profile })));
+    return doc;
     
   } catch (error) {
-    console.error(chalk.red('✗ Fehler bei der Verbindung zu Google Sheets:'));
+    console.error(chalk.red(t('✗ Fehler bei der Verbindung zu Google Sheets:')));
     
     if (error.message.includes('404')) {
-      console.error(chalk.yellow('   → Sheet nicht gefunden. Prüfe die SPREADSHEET_ID'));
+      console.error(chalk.yellow(t('   → Sheet nicht gefunden. Prüfe die Sheet-ID (spreadsheetId, TODODOS_SHEET oder --sheet)')));
     } else if (error.message.includes('403')) {
-      console.error(chalk.yellow('   → Keine Berechtigung. Hast du das Sheet mit dem Service Account geteilt?'));
-      console.error(chalk.dim('     Service Account Email sollte Zugriff haben'));
+      console.error(chalk.yellow(t('   → Keine Berechtigung. Hast du das Sheet mit dem Service Account geteilt?')));
+      console.error(chalk.dim(t('     Service Account Email sollte Zugriff haben')));
     } else if (error.message.includes('400')) {
-      console.error(chalk.yellow('   → Ungültige Anfrage. Prüfe deine credentials.json'));
+      console.error(chalk.yellow(t('   → Ungültige Anfrage. Prüfe deine credentials.json')));
     } else {
-      console.error(chalk.dim(`   Fehler: ${error.message}`));
+      console.error(chalk.dim(t('   Fehler: {error}', { error: error.message })));
     }
     
-    return false;
+    return null;
   }
 }
 
-// Aufgaben laden
-async function loadTasks() {
+// Kopie einer Aufgabe für Cache und Änderungsprotokoll
+function snapshotTask(task) {
+  return { ...task, tags: [...task.tags] };
+}
+
+// Neue, stabile Aufgaben-ID erzeugen
+function newTaskId() {
+  return crypto.randomUUID().split('-')[0];
+}
+
+// Felder, in denen sich zwei Versionen einer Aufgabe unterscheiden
+function changedFields(before, after) {
+  return Object.keys(after).filter(key =>
+    JSON.stringify(before[key]) !== JSON.stringify(after[key])
+  );
+}
+
+// Lokalen Cache lesen (null, falls keiner existiert)
+function readCache() {
+  if (!fs.existsSync(config.cachePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(config.cachePath, 'utf8'));
+}
+
+// Cache-Eintrag einer Liste lesen (leerer Eintrag, falls noch nicht vorhanden)
+function readCachedList(cache, listName) {
+  const entry = cache?.lists?.[listName] || {};
+  return {
+    tasks: (entry.tasks || []).map(task => ({ ...TASK_DEFAULTS, ...task })),
+    baseTasks: (entry.baseTasks || []).map(task => ({ ...TASK_DEFAULTS, ...task })),
+    pendingChanges: entry.pendingChanges || [],
+    history: entry.history || [],
+    redoStack: entry.redoStack || [],
+    collapsed: entry.collapsed || [],
+  };
+}
+
+// Cache lesen, verändern und zurückschreiben - Einträge anderer Listen bleiben erhalten
+function updateCache(update) {
   try {
-    if (!doc) {
-      console.log(chalk.yellow('⚠ Keine Verbindung zu Google Sheets - verwende lokale Daten'));
-      return false;
+    let cache = null;
+    try {
+      cache = readCache();
+    } catch (error) {
+      // Beschädigter Cache wird neu geschrieben
     }
+    cache = cache || { lists: {} };
+    cache.lists = cache.lists || {};
 
-    const sheet = doc.sheetsByIndex[0];
-    
-    // Prüfe ob Sheet-Header existieren, falls nicht erstelle sie
-    await sheet.loadCells('A1:E1');
-    const headerRow = ['title', 'status', 'priority', 'dueDate', 'tags'];
-    
-    if (!sheet.getCellByA1('A1').value) {
-      console.log(chalk.blue('📋 Erstelle Sheet-Header...'));
-      await sheet.setHeaderRow(headerRow);
-    }
-    
-    const rows = await sheet.getRows();
-    tasks = rows.map((row, index) => ({
-      id: index + 1,
-      title: row.get('title') || 'Keine Beschreibung',
-      status: row.get('status') || 'offen',
-      priority: row.get('priority') || 'normal',
-      dueDate: row.get('dueDate') || '',
-      tags: (row.get('tags') || '').split(',').filter(tag => tag.trim().length > 0),
-    }));
-    
-    console.log(chalk.green(`✓ ${tasks.length} Aufgaben geladen`));
-    return true;
-    
+    update(cache);
+    cache.savedAt = new Date().toISOString();
+
+    fs.mkdirSync(path.dirname(config.cachePath), { recursive: true });
+    fs.writeFileSync(config.cachePath, JSON.stringify(cache, null, 2));
   } catch (error) {
-    console.error(chalk.red('✗ Fehler beim Laden der Aufgaben:'));
+    console.error(chalk.red(t('✗ Lokaler Cache konnte nicht geschrieben werden:')));
     console.error(chalk.dim(`   ${error.message}`));
-    
-    // Fallback: leere Tasks-Liste
-    tasks = [];
-    return false;
   }
 }
 
-// Aufgaben speichern
-async function saveTasks() {
+// Stand der aktuellen Liste in den lokalen Cache schreiben
+function writeCache() {
+  updateCache(cache => {
+    cache.currentList = currentList;
+    cache.lists[currentList] = { tasks, baseTasks, pendingChanges, history, redoStack, collapsed };
+  });
+}
+
+// Arbeitssitzungen und noch nicht gespeicherte Sitzungen in den Cache schreiben
+function writeSessionCache() {
+  updateCache(cache => {
+    cache.sessions = sessions;
+    cache.unsavedSessions = unsavedSessions;
+  });
+}
+
+// Stand der aktuellen Liste und die Zeiterfassung aus dem Cache übernehmen
+function restoreCache() {
+  const cache = readCache();
+  ({ tasks, baseTasks, pendingChanges, history, redoStack, collapsed } = readCachedList(cache, currentList));
+  sessions = cache?.sessions || [];
+  unsavedSessions = cache?.unsavedSessions || [];
+  return cache;
+}
+
+// Aufgaben aus dem lokalen Cache laden
+function loadCachedTasks() {
   try {
-    if (!doc) {
-      console.log(chalk.yellow('⚠ Keine Verbindung zu Google Sheets - kann nicht speichern'));
+    if (!restoreCache()) {
+      logStatus(chalk.yellow(t('⚠ Kein lokaler Cache vorhanden - starte mit leerer Liste')));
       return false;
     }
 
-    const sheet = doc.sheetsByIndex[0];
-    
-    console.log(chalk.blue('💾 Speichere Aufgaben...'));
-    
-    // Stelle sicher, dass Header existieren
-    await sheet.loadCells('A1:E1');
-    if (!sheet.getCellByA1('A1').value) {
-      await sheet.setHeaderRow(['title', 'status', 'priority', 'dueDate', 'tags']);
-    }
-    
-    // Lade alle bestehenden Zeilen
-    const rows = await sheet.getRows();
-    
-    // Lösche alle bestehenden Datenzeilen (aber nicht den Header)
-    for (let i = rows.length - 1; i >= 0; i--) {
-      await rows[i].delete();
+    logStatus(chalk.yellow(t('⚠ Offline - {count} Aufgaben aus dem lokalen Cache geladen', { count: tasks.length })));
+    if (pendingChanges.length > 0) {
+      logStatus(chalk.dim(t('   {count} Änderungen warten auf Synchronisierung', { count: pendingChanges.length })));
     }
-    
-    // Füge neue Zeilen hinzu
-    const newRows = tasks.map(task => ({
-      title: task.title,
-      status: task.status,
-      priority: task.priority,
-      dueDate: task.dueDate,
-      tags: task.tags.join(','),
-    }));
-    
-    if (newRows.length > 0) {
-      await sheet.addRows(newRows);
-    }
-    
-    console.log(chalk.green(`✓ ${tasks.length} Aufgaben erfolgreich gespeichert`));
     return true;
-    
+
   } catch (error) {
-    console.error(chalk.red('✗ Fehler beim Speichern der Aufgaben:'));
+    console.error(chalk.red(t('✗ Fehler beim Lesen des lokalen Caches:')));
     console.error(chalk.dim(`   ${error.message}`));
-    
-    if (error.message.includes('403')) {
-      console.error(chalk.yellow('   → Keine Schreibberechtigung. Prüfe Sheet-Freigabe.'));
-    }
-    
     return false;
   }
 }
 
-// Aufgabe hinzufügen
-function addTask(title, priority = 'normal', dueDate = '', tags = []) {
-  tasks.push({
-    id: tasks.length + 1,
-    title,
-    status: 'offen',
-    priority,
-    dueDate,
-    tags,
-  });
+// Änderung protokollieren, damit sie später mit dem Speicher abgeglichen werden kann
+function recordChange(change) {
+  const entry = { ...change, at: new Date().toISOString() };
+  pendingChanges.push(entry);
+  if (recordingHistory) {
+    addToHistory(entry);
+  }
+  writeCache();
+  scheduleAutosave();
 }
 
-// Aufgabe löschen
-function deleteTask(index) {
-  tasks.splice(index, 1);
-  // IDs neu zuweisen
-  tasks.forEach((task, i) => {
-    task.id = i + 1;
-  });
+// Gibt es lokale Änderungen, die noch nicht im Speicher gesichert sind?
+function isDirty() {
+  return pendingChanges.length > 0;
 }
 
-// Schnelle Aufgabe hinzufügen (nur Titel)
-async function handleQuickAdd() {
-  return new Promise((resolve) => {
-    console.log(chalk.blue('\n⚡ Schnell-Aufgabe hinzufügen'));
-    rl.question('Titel: ', (title) => {
-      if (title.trim()) {
-        addTask(title.trim());
-        console.log(chalk.green(`✓ Aufgabe "${title.trim()}" schnell hinzugefügt`));
-      } else {
-        console.log(chalk.yellow('Abgebrochen - kein Titel eingegeben'));
-      }
-      resolve();
-    });
-  });
-}
-function editTask(index, updates) {
-  tasks[index] = { ...tasks[index], ...updates };
+// Lokale Änderungen verwerfen und zum zuletzt geladenen bzw. gespeicherten Stand zurückkehren
+function discardChanges() {
+  tasks = baseTasks.map(snapshotTask);
+  pendingChanges = [];
+  history = [];
+  redoStack = [];
+  clampSelection();
+  writeCache();
 }
 
-// Aufgabe als erledigt markieren
-function completeTask(index) {
-  tasks[index].status = tasks[index].status === 'erledigt' ? 'offen' : 'erledigt';
+// Operation dem Verlauf hinzufügen bzw. im laufenden Sammelschritt vormerken
+function addToHistory(operation) {
+  if (batchOperations) {
+    batchOperations.push(operation);
+  } else {
+    pushHistory(operation);
+  }
 }
 
-// Hilfefunktion anzeigen
-function showHelp() {
-  console.clear();
-  const helpText = `
-${chalk.bold('TodoDOS - Kommandos:')}
-
-${chalk.yellow('Navigation:')}
-  up/k ............ Nach oben bewegen
-  down/j .......... Nach unten bewegen
-  home ............ Zum Anfang springen
-  end ............. Zum Ende springen
-
-${chalk.yellow('Aktionen:')}
-  add ............. Aufgabe hinzufügen
-  delete .......... Aufgabe löschen
-  edit ............ Aufgabe bearbeiten
-  toggle .......... Aufgabe als erledigt markieren
-  search .......... Suchen
-  save ............ Speichern
-  reload .......... Neu laden
-  
-${chalk.yellow('Ansicht:')}
-  help ............ Hilfe anzeigen
-  details ......... Details anzeigen
-  quit ............ Beenden
-  
-${chalk.dim('Tipp: Verwende Kurzbefehle wie "a" für add, "d" für delete, etc.')}
-`;
+// Mehrere Änderungen als einen einzigen Schritt im Verlauf zusammenfassen
+function recordBatch(label, fn) {
+  if (batchOperations) {
+    return fn();
+  }
 
-  console.log(boxen(helpText, {
-    padding: 1,
-    margin: 1,
-    borderStyle: 'double',
-    borderColor: 'blue',
-  }));
+  batchOperations = [];
+  try {
+    return fn();
+  } finally {
+    const operations = batchOperations;
+    batchOperations = null;
+    if (operations.length === 1) {
+      pushHistory(operations[0]);
+    } else if (operations.length > 1) {
+      pushHistory({ type: 'batch', label, operations, at: new Date().toISOString() });
+    }
+  }
 }
 
-// Hauptansicht rendern
-function renderMainView() {
-  console.clear();
-  
-  // Header
-  console.log(
-    chalk.blue(
-      figlet.textSync('TodoDOS', {
-        font: 'Small',
-        horizontalLayout: 'default',
-        verticalLayout: 'default',
-      })
-    )
-  );
-  
-  // Status-Zeile
-  console.log(
-    boxen(
-      `Aufgaben: ${tasks.length} | Offen: ${tasks.filter(t => t.status === 'offen').length} | Erledigt: ${tasks.filter(t => t.status === 'erledigt').length}`,
-      { padding: 0, borderStyle: 'single', borderColor: 'gray' }
-    )
-  );
-  
-  // Steuerungshinweise
-  console.log(chalk.dim(' Befehle: add, delete, edit, toggle, search, help, quit\n'));
-  
-  // Suchleiste, falls aktiv
-  if (searchTerm.length > 0) {
-    console.log(chalk.yellow(` 🔍 Suche: "${searchTerm}" (Zum Löschen: "search" eingeben)`));
+// Operation in den Verlauf aufnehmen - eine neue Änderung verwirft die Redo-Liste
+function pushHistory(operation) {
+  history.push(operation);
+  if (history.length > HISTORY_LIMIT) {
+    history.splice(0, history.length - HISTORY_LIMIT);
   }
-  
-  // Aufgabenliste
-  if (tasks.length === 0) {
-    console.log(chalk.dim('\n  Keine Aufgaben vorhanden. Gib "add" ein, um eine neue Aufgabe hinzuzufügen.\n'));
-  } else {
-    const filteredTasks = searchTerm.length > 0
-      ? tasks.filter(task => task.title.toLowerCase().includes(searchTerm.toLowerCase()))
-      : tasks;
-    
-    if (filteredTasks.length === 0) {
-      console.log(chalk.dim('\n  Keine Treffer für die Suche gefunden.\n'));
+  redoStack = [];
+}
+
+// Lokale Änderungen und Änderungen im Speicher gegen den zuletzt geladenen Stand abgleichen.
+// Nicht überlappende Änderungen werden übernommen, echte Konflikte gesammelt.
+function mergeTasks(base, local, remote) {
+  const baseById = new Map(base.map(task => [task.id, task]));
+  const localById = new Map(local.map(task => [task.id, task]));
+  const remoteIds = new Set(remote.map(task => task.id));
+  const merged = [];
+  const conflicts = [];
+
+  for (const remoteTask of remote) {
+    const baseTask = baseById.get(remoteTask.id);
+    const localTask = localById.get(remoteTask.id);
+
+    if (!baseTask) {
+      // Seit dem letzten Laden im Speicher hinzugefügt
+      merged.push(snapshotTask(localTask || remoteTask));
+    } else if (!localTask) {
+      // Lokal gelöscht - Konflikt, falls die Aufgabe im Speicher bearbeitet wurde
+      if (changedFields(baseTask, remoteTask).length > 0) {
+        merged.push(snapshotTask(remoteTask));
+        conflicts.push({ kind: 'deletedLocal', id: remoteTask.id, title: remoteTask.title });
+      }
     } else {
-      console.log(
-        chalk.dim('  Nr │ Status   │ Prio    │ Fälligkeit   │ Titel')
-      );
-      console.log(
-        chalk.dim('  ───┼──────────┼─────────┼──────────────┼────────────────────────────')
-      );
-      
-      filteredTasks.forEach((task, index) => {
-        const isSelected = index === selectedIndex;
-        const statusColor = task.status === 'erledigt' ? chalk.green : chalk.yellow;
-        const priorityColor = 
-          task.priority === 'hoch' ? chalk.red :
-          task.priority === 'niedrig' ? chalk.blue :
-          chalk.white;
-        
-        const line = ` ${(index + 1).toString().padStart(3)} │ ${statusColor(task.status.padEnd(8))} │ ${priorityColor(task.priority.padEnd(7))} │ ${(task.dueDate || '').padEnd(12)} │ ${task.title.substring(0, 40)}${task.title.length > 40 ? '...' : ''}`;
-        
-        if (isSelected) {
-          console.log(chalk.bgBlue(line));
+      const task = snapshotTask(remoteTask);
+      for (const field of Object.keys({ ...localTask, ...remoteTask })) {
+        const localValue = JSON.stringify(localTask[field]);
+        const remoteValue = JSON.stringify(remoteTask[field]);
+        const baseValue = JSON.stringify(baseTask[field]);
+
+        if (localValue === remoteValue || localValue === baseValue) {
+          continue;
+        }
+        if (remoteValue === baseValue) {
+          task[field] = localTask[field];
+        } else if (TIMESTAMP_FIELDS.includes(field)) {
+          // Auf beiden Seiten geändert: der spätere Zeitpunkt gewinnt
+          task[field] = [localTask[field] || '', remoteTask[field] || ''].sort().pop();
         } else {
-          console.log(line);
+          conflicts.push({
+            kind: 'field',
+            id: task.id,
+            title: localTask.title,
+            field,
+            local: localTask[field],
+            remote: remoteTask[field],
+          });
         }
-      });
-      
-      // Aktuelle Auswahl anzeigen
-      if (filteredTasks.length > 0) {
-        console.log(chalk.dim(`\n  → Ausgewählt: ${filteredTasks[selectedIndex]?.title || 'Keine'}`));
       }
+      merged.push(task);
+    }
+  }
+
+  for (const localTask of local) {
+    if (remoteIds.has(localTask.id)) {
+      continue;
+    }
+    const baseTask = baseById.get(localTask.id);
+    if (!baseTask) {
+      // Lokal hinzugefügt
+      merged.push(snapshotTask(localTask));
+    } else if (changedFields(baseTask, localTask).length > 0) {
+      // Im Speicher gelöscht, lokal aber bearbeitet
+      conflicts.push({ kind: 'deletedRemote', id: localTask.id, title: localTask.title, task: snapshotTask(localTask) });
     }
   }
+
+  return { merged, conflicts };
 }
 
-// Details-Ansicht rendern
-function renderDetailsView() {
-  if (tasks.length === 0 || selectedIndex >= tasks.length) {
-    console.log(chalk.red('Keine Aufgabe ausgewählt.'));
-    return;
+// Wert eines Feldes für die Konfliktanzeige formatieren
+function formatFieldValue(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(', ') : t('(leer)');
   }
-  
-  const task = tasks[selectedIndex];
-  
-  console.clear();
-  console.log(chalk.blue(figlet.textSync('Details', { font: 'Small' })));
-  
-  const detailsBox = boxen(
-    `${chalk.bold('ID:')} ${task.id}
-${chalk.bold('Titel:')} ${task.title}
-${chalk.bold('Status:')} ${task.status === 'erledigt' ? chalk.green(task.status) : chalk.yellow(task.status)}
-${chalk.bold('Priorität:')} ${
-  task.priority === 'hoch' ? chalk.red(task.priority) :
-  task.priority === 'niedrig' ? chalk.blue(task.priority) :
-  chalk.white(task.priority)
-}
-${chalk.bold('Fälligkeit:')} ${task.dueDate || 'Nicht gesetzt'}
-${chalk.bold('Tags:')} ${task.tags.length > 0 ? task.tags.join(', ') : 'Keine'}`,
-    {
-      padding: 1,
-      margin: 1,
-      borderStyle: 'round',
-      borderColor: 'blue',
-    }
-  );
-  
-  console.log(detailsBox);
+  return value === '' || value === undefined ? t('(leer)') : String(value);
 }
 
-// Eingabeaufforderung anzeigen
-function showPrompt() {
-  const currentTask = tasks[selectedIndex];
-  const taskInfo = currentTask ? `[${selectedIndex + 1}/${tasks.length}] ${currentTask.title.substring(0, 20)}${currentTask.title.length > 20 ? '...' : ''}` : '';
-  
-  console.log(chalk.dim(`\n${taskInfo}`));
-  rl.question(chalk.cyan('TodoDOS> '), handleCommand);
+// Frage stellen und Antwort als Promise liefern. Strg+C bricht die Frage ab, das Promise
+// wird dann mit einem Fehler mit "cancelled" abgelehnt.
+function ask(prompt) {
+  return new Promise((resolve, reject) => {
+    pendingQuestion = reject;
+    rl.question(prompt, answer => {
+      pendingQuestion = null;
+      resolve(answer);
+    });
+  });
 }
 
-// Kommando verarbeiten
-async function handleCommand(input) {
-  const command = input.trim().toLowerCase();
-  const args = input.trim().split(' ');
-  
-  try {
-    switch (command) {
-      case 'quit':
-      case 'q':
-      case 'exit':
-        console.log(chalk.blue('Auf Wiedersehen! 👋'));
-        process.exit(0);
-        break;
-        
-      case 'help':
-      case 'h':
-        showHelp();
-        break;
-        
-      case 'add':
-      case 'a':
-        await handleAddTask();
-        break;
-        
-      case 'quick':
-      case 'qa':
-        await handleQuickAdd();
-        break;
-        
-      case 'delete':
-      case 'd':
-        handleDeleteTask();
-        break;
-        
-      case 'edit':
-      case 'e':
-        await handleEditTask();
-        break;
-        
-      case 'toggle':
-      case 't':
-      case 'space':
-        handleToggleTask();
-        break;
-        
-      case 'save':
-      case 's':
-        await saveTasks();
-        break;
-        
-      case 'reload':
-      case 'r':
-        await loadTasks();
-        console.log(chalk.green('✓ Aufgaben neu geladen'));
-        break;
-        
-      case 'search':
-      case '/':
-        await handleSearch();
-        break;
-        
-      case 'details':
-      case 'show':
-        renderDetailsView();
-        break;
-        
-      case 'up':
-      case 'k':
-        selectedIndex = Math.max(0, selectedIndex - 1);
-        break;
-        
-      case 'down':
-      case 'j':
-        selectedIndex = Math.min(tasks.length - 1, selectedIndex + 1);
-        break;
-        
-      case 'home':
-        selectedIndex = 0;
-        break;
-        
-      case 'end':
-        selectedIndex = Math.max(0, tasks.length - 1);
-        break;
-        
-      case 'clear':
-        searchTerm = '';
-        console.log(chalk.green('✓ Suche gelöscht'));
-        break;
-        
-      default:
-        if (input.trim() === '') {
-          // Leere Eingabe - nichts tun
-        } else if (!isNaN(parseInt(command))) {
-          // Nummer eingegeben - zur Aufgabe springen
-          const num = parseInt(command) - 1;
-          if (num >= 0 && num < tasks.length) {
-            selectedIndex = num;
-            console.log(chalk.green(`✓ Zu Aufgabe ${num + 1} gesprungen`));
-          } else {
-            console.log(chalk.red('Ungültige Aufgabennummer'));
-          }
+// Fehler für eine mit Strg+C abgebrochene Rückfrage
+function cancelledError() {
+  const error = new Error(t('Abgebrochen'));
+  error.cancelled = true;
+  return error;
+}
+
+// Konflikte interaktiv auflösen - liefert false, wenn der Benutzer abbricht
+async function resolveConflicts(merged, conflicts) {
+  console.log(chalk.red(t('\n⚠ {count} Konflikte mit Änderungen im Speicher', { count: conflicts.length })));
+
+  for (const [index, conflict] of conflicts.entries()) {
+    const header = chalk.bold(t('Konflikt {number}/{count}: "{title}"', { number: index + 1, count: conflicts.length, title: conflict.title }));
+    let details;
+    let choices;
+
+    if (conflict.kind === 'field') {
+      details = `${chalk.bold(t('Feld:'))} ${conflict.field}
+${chalk.bold(t('Lokal:'))}  ${chalk.cyan(formatFieldValue(conflict.local))}
+${chalk.bold(t('Speicher:'))} ${chalk.magenta(formatFieldValue(conflict.remote))}`;
+      choices = t('[l]okal / [s]peicher / [b]earbeiten / [a]bbrechen: ');
+    } else if (conflict.kind === 'deletedLocal') {
+      details = t('Lokal gelöscht, im Speicher aber bearbeitet');
+      choices = t('[l]okal (löschen) / [s]peicher (behalten) / [a]bbrechen: ');
+    } else {
+      details = t('Im Speicher gelöscht, lokal aber bearbeitet');
+      choices = t('[l]okal (behalten) / [s]peicher (löschen) / [a]bbrechen: ');
+    }
+
+    console.log(boxen(`${header}\n\n${details}`, { padding: 1, borderStyle: 'round', borderColor: 'red' }));
+
+    let resolved = false;
+    while (!resolved) {
+      const choice = (await ask(choices)).trim().toLowerCase();
+      const taskIndex = merged.findIndex(task => task.id === conflict.id);
+      resolved = true;
+
+      // Buchstaben beider Sprachen: [a]bbrechen/[c]ancel, [b]earbeiten/[e]dit
+      if (choice === 'a' || choice === 'c') {
+        return false;
+      } else if (choice === 's') {
+        if (conflict.kind === 'field') {
+          merged[taskIndex][conflict.field] = conflict.remote;
+        }
+      } else if (choice === 'l') {
+        if (conflict.kind === 'field') {
+          merged[taskIndex][conflict.field] = conflict.local;
+        } else if (conflict.kind === 'deletedLocal') {
+          merged.splice(taskIndex, 1);
+        } else {
+          merged.push(conflict.task);
+        }
+      } else if ((choice === 'b' || choice === 'e') && conflict.kind === 'field') {
+        const value = (await ask(t('Neuer Wert für {field}: ', { field: conflict.field }))).trim();
+        if (Array.isArray(conflict.local)) {
+          merged[taskIndex][conflict.field] = value.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+        } else if (conflict.field === 'status') {
+          merged[taskIndex][conflict.field] = parseStatus(value) || value;
+        } else if (conflict.field === 'priority') {
+          merged[taskIndex][conflict.field] = parsePriority(value) || value;
+        } else {
+          merged[taskIndex][conflict.field] = value;
+        }
+      } else {
+        console.log(chalk.yellow(t('Ungültige Auswahl')));
+        resolved = false;
+      }
+    }
+
+    // Abschlusszeit passend zum gewählten Status
+    if (conflict.kind === 'field' && conflict.field === 'status') {
+      const task = merged.find(item => item.id === conflict.id);
+      if (!isDone(task)) {
+        task.completedAt = '';
+      }
+    }
+  }
+
+  return true;
+}
+
+// Datensätze aus dem Speicher (Zeilen im Sheet, Einträge der JSON-Datei bzw. der Datenbank)
+// in Aufgaben umwandeln, in gleicher Reihenfolge. Tags als Text mit Kommas oder als Array.
+function recordsToTasks(records) {
+  const seenIds = new Set();
+
+  return records.map(record => {
+    // Datensätze ohne oder mit doppelter ID bekommen eine neue, die beim Speichern geschrieben wird
+    let id = record.id;
+    if (!id || seenIds.has(id)) {
+      id = newTaskId();
+    }
+    seenIds.add(id);
+
+    const tags = Array.isArray(record.tags) ? record.tags : (record.tags || '').split(',');
+    return {
+      id,
+      title: record.title || 'Keine Beschreibung',
+      status: record.status || initialStatus(),
+      priority: record.priority || 'normal',
+      dueDate: record.dueDate || '',
+      tags: tags.filter(tag => tag.trim().length > 0),
+      parent: record.parent || '',
+      recur: record.recur || '',
+      notes: record.notes || '',
+      createdAt: record.createdAt || '',
+      updatedAt: record.updatedAt || '',
+      completedAt: record.completedAt || '',
+      blockedBy: record.blockedBy || '',
+      recurFrom: record.recurFrom || '',
+    };
+  });
+}
+
+// Aufgabe in Werte für Sheet und Datenbank umwandeln (Spalten wie SHEET_HEADER)
+function taskToRecord(task) {
+  return {
+    title: task.title,
+    status: task.status,
+    priority: task.priority,
+    dueDate: task.dueDate,
+    tags: task.tags.join(','),
+    id: task.id,
+    parent: task.parent || '',
+    recur: task.recur || '',
+    notes: task.notes || '',
+    createdAt: task.createdAt || '',
+    updatedAt: task.updatedAt || '',
+    completedAt: task.completedAt || '',
+    blockedBy: task.blockedBy || '',
+    recurFrom: task.recurFrom || '',
+  };
+}
+
+// Datensätze der Zeiterfassung in Sitzungen umwandeln - Zeilen ohne ID oder Beginn werden übergangen
+function recordsToSessions(records) {
+  return records
+    .map(record => Object.fromEntries(SESSION_HEADER.map(column => [column, String(record[column] ?? '')])))
+    .filter(session => session.id && session.start);
+}
+
+// Header prüfen und fehlende Spalten hinten ergänzen, ohne bestehende Daten zu verändern.
+// Eigene Spalten im Sheet bleiben erhalten, da beim Speichern nur bekannte Spalten geschrieben werden.
+async function ensureSheetHeader(sheet) {
+  try {
+    await sheet.loadHeaderRow();
+  } catch (error) {
+    if (!error.message.includes('header')) {
+      throw error;
+    }
+    logStatus(chalk.blue(t('📋 Erstelle Sheet-Header...')));
+    await sheet.setHeaderRow(SHEET_HEADER);
+    return;
+  }
+
+  const missing = SHEET_HEADER.filter(column => !sheet.headerValues.includes(column));
+  if (missing.length === 0) {
+    return;
+  }
+
+  logStatus(chalk.blue(t('📋 Ergänze Sheet-Spalten: {columns}', { columns: missing.join(', ') })));
+  const header = [...sheet.headerValues, ...missing];
+  if (header.length > sheet.columnCount) {
+    await sheet.resize({ rowCount: sheet.rowCount, columnCount: header.length });
+  }
+  await sheet.setHeaderRow(header);
+}
+
+// Nur geänderte Zeilen ins Sheet schreiben: geänderte Zeilen einzeln speichern,
+// gelöschte Zeilen einzeln entfernen und neue Zeilen in einem Aufruf anhängen.
+// Alle Werte gehen unverändert ("raw") ins Sheet, ein Titel wie "=foo" wird so keine Formel.
+// Spalten, die TodoDOS nicht kennt, behalten ihren Wert.
+async function writeTaskRows(sheet, rows, rowTasks, targetTasks) {
+  const targetById = new Map(targetTasks.map(task => [task.id, task]));
+  const rowIds = new Set(rowTasks.map(task => task.id));
+  const updates = [];
+  const deletedRows = [];
+
+  rows.forEach((row, index) => {
+    const target = targetById.get(rowTasks[index].id);
+    if (!target) {
+      deletedRows.push(row);
+      return;
+    }
+
+    const values = taskToRecord(target);
+    const changed = Object.keys(values)
+      .filter(key => sheet.headerValues.includes(key) && (row.get(key) || '') !== values[key]);
+    if (changed.length > 0) {
+      updates.push({ row, values, changed });
+    }
+  });
+
+  const added = targetTasks.filter(task => !rowIds.has(task.id));
+
+  // 1. Geänderte Zeilen speichern - über Zellen ginge das nicht raw, dort wird "=..." zur Formel
+  for (const { row, values, changed } of updates) {
+    row.assign(Object.fromEntries(changed.map(key => [key, values[key]])));
+    await row.save({ raw: true });
+  }
+
+  // 2. Gelöschte Zeilen von unten nach oben entfernen, damit die Zeilennummern darüber gültig bleiben
+  deletedRows.sort((a, b) => b.rowNumber - a.rowNumber);
+  for (const row of deletedRows) {
+    await row.delete();
+  }
+
+  // 3. Neue Zeilen anhängen
+  if (added.length > 0) {
+    await sheet.addRows(added.map(taskToRecord), { raw: true });
+  }
+
+  return { added: added.length, updated: updates.length, deleted: deletedRows.length };
+}
+
+// Speicher in Google Sheets: jede Liste ist ein Arbeitsblatt. Die beim Lesen geholten Zeilen
+// dienen beim nächsten Schreiben als Grundlage, damit nur geänderte Zellen geschrieben werden.
+function createSheetsStorage(options) {
+  let doc = null;
+  const loadedRows = new Map();
+
+  const getSheet = name => {
+    const sheet = doc.sheetsByTitle[name];
+    if (!sheet) {
+      throw new Error(t('Liste "{name}" nicht gefunden', { name }));
+    }
+    return sheet;
+  };
+
+  const readList = async name => {
+    const sheet = getSheet(name);
+    // Prüfe ob Sheet-Header existieren, falls nicht erstelle sie
+    await ensureSheetHeader(sheet);
+    const rows = await sheet.getRows();
+    const rowTasks = recordsToTasks(rows.map(row => row.toObject()));
+    loadedRows.set(name, { rows, rowTasks });
+    return rowTasks.map(snapshotTask);
+  };
+
+  return {
+    type: 'sheets',
+    async connect() {
+      doc = await connectToSheet(options);
+      return Boolean(doc);
+    },
+    listNames: () => doc.sheetsByIndex.map(sheet => sheet.title).filter(title => title !== SESSIONS_SHEET),
+    readList,
+    async writeList(name, targetTasks) {
+      if (!loadedRows.has(name)) {
+        await readList(name);
+      }
+      const { rows, rowTasks } = loadedRows.get(name);
+      // Die Zeilen sind danach veraltet, das nächste Schreiben liest neu
+      loadedRows.delete(name);
+      return writeTaskRows(getSheet(name), rows, rowTasks, targetTasks);
+    },
+    async createList(name) {
+      await doc.addSheet({ title: name, headerValues: SHEET_HEADER });
+    },
+    async renameList(oldName, newName) {
+      await getSheet(oldName).updateProperties({ title: newName });
+    },
+    async deleteList(name) {
+      await getSheet(name).delete();
+    },
+    async readSessions() {
+      const sheet = doc.sheetsByTitle[SESSIONS_SHEET];
+      return sheet ? recordsToSessions((await sheet.getRows()).map(row => row.toObject())) : [];
+    },
+    async saveSessions(changed) {
+      const sheet = doc.sheetsByTitle[SESSIONS_SHEET]
+        || await doc.addSheet({ title: SESSIONS_SHEET, headerValues: SESSION_HEADER });
+      const rowsById = new Map((await sheet.getRows()).map(row => [row.get('id'), row]));
+      for (const session of changed.filter(item => rowsById.has(item.id))) {
+        const row = rowsById.get(session.id);
+        row.assign(session);
+        await row.save({ raw: true });
+      }
+      const added = changed.filter(item => !rowsById.has(item.id));
+      if (added.length > 0) {
+        await sheet.addRows(added, { raw: true });
+      }
+    },
+  };
+}
+
+// Erfolgreiches Öffnen einer lokalen Datei melden (JSON, SQLite)
+function logStorageOpened(type, filePath) {
+  logStatus(chalk.green(t('✓ {storage} geöffnet', { storage: t(STORAGE_LABELS[type]) })));
+  logStatus(chalk.dim(t('   Datei: {path}', { path: filePath })));
+  logStatus(chalk.dim(t('   Profil: {profile}', { profile: config.profile })));
+}
+
+// Speicher in einer JSON-Datei: { "lists": { "<liste>": [aufgabe, ...] }, "sessions": [...] }. Die Datei wird bei
+// jedem Zugriff neu gelesen, damit Änderungen anderer Prozesse (z.B. "tododos serve") ankommen,
+// und über eine temporäre Datei ersetzt, damit sie nie halb geschrieben ist. Eigene Felder in
+// den Aufgaben bleiben beim Speichern erhalten.
+function createJsonStorage(filePath) {
+  const read = () => {
+    if (!fs.existsSync(filePath)) {
+      return { lists: {} };
+    }
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!data || typeof data.lists !== 'object' || Array.isArray(data.lists)) {
+      throw new Error(t('"lists" fehlt oder ist kein Objekt'));
+    }
+    return data;
+  };
+  const write = data => {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tempPath, `${JSON.stringify(data, null, 2)}\n`);
+    fs.renameSync(tempPath, filePath);
+  };
+  const toRecord = task => ({ id: task.id, ...taskToRecord(task), tags: [...task.tags] });
+
+  return {
+    type: 'json',
+    async connect() {
+      try {
+        read();
+        logStorageOpened('json', filePath);
+        return true;
+      } catch (error) {
+        console.error(chalk.red(t('✗ Fehler beim Öffnen von {path}:', { path: filePath })));
+        console.error(chalk.dim(`   ${error.message}`));
+        return false;
+      }
+    },
+    listNames() {
+      try {
+        return Object.keys(read().lists);
+      } catch (error) {
+        return [];
+      }
+    },
+    async readList(name) {
+      return recordsToTasks(read().lists[name] || []);
+    },
+    async writeList(name, targetTasks) {
+      const data = read();
+      const stored = data.lists[name] || [];
+      const storedById = new Map(stored.map(record => [record.id, record]));
+      const targetIds = new Set(targetTasks.map(task => task.id));
+      const records = targetTasks.map(task => ({ ...storedById.get(task.id), ...toRecord(task) }));
+
+      if (JSON.stringify(records) !== JSON.stringify(stored)) {
+        data.lists[name] = records;
+        write(data);
+      }
+      return {
+        added: records.filter(record => !storedById.has(record.id)).length,
+        updated: records.filter(record => storedById.has(record.id) &&
+          JSON.stringify(record) !== JSON.stringify(storedById.get(record.id))).length,
+        deleted: stored.filter(record => !targetIds.has(record.id)).length,
+      };
+    },
+    async createList(name) {
+      const data = read();
+      data.lists[name] = data.lists[name] || [];
+      write(data);
+    },
+    async renameList(oldName, newName) {
+      const data = read();
+      // Reihenfolge der Listen beibehalten
+      data.lists = Object.fromEntries(Object.entries(data.lists).map(([key, value]) =>
+        [key === oldName ? newName : key, value]
+      ));
+      write(data);
+    },
+    async deleteList(name) {
+      const data = read();
+      delete data.lists[name];
+      write(data);
+    },
+    async readSessions() {
+      return recordsToSessions(read().sessions || []);
+    },
+    async saveSessions(changed) {
+      const data = read();
+      const stored = data.sessions || [];
+      for (const session of changed) {
+        const index = stored.findIndex(record => record.id === session.id);
+        if (index === -1) {
+          stored.push(session);
         } else {
-          console.log(chalk.red(`Unbekanntes Kommando: "${input}". Gib "help" für Hilfe ein.`));
+          stored[index] = { ...stored[index], ...session };
+        }
+      }
+      data.sessions = stored;
+      write(data);
+    },
+  };
+}
+
+// Speicher in einer SQLite-Datenbank über das Paket better-sqlite3, das erst bei Bedarf geladen
+// wird. Die Tabelle "lists" enthält die Listen in ihrer Reihenfolge, "tasks" je Aufgabe eine
+// Zeile mit den Spalten aus SHEET_HEADER, "sessions" die Zeiterfassung. Fehlende Spalten werden
+// beim Öffnen ergänzt, eigene Spalten bleiben wie im Sheet beim Speichern erhalten.
+function createSqliteStorage(filePath) {
+  let db = null;
+  const columns = SHEET_HEADER.map(column => `"${column}"`);
+  const sessionColumns = SESSION_HEADER.map(column => `"${column}"`);
+
+  return {
+    type: 'sqlite',
+    async connect() {
+      let Database;
+      try {
+        ({ default: Database } = await import('better-sqlite3'));
+      } catch (error) {
+        console.error(chalk.red(t('✗ Für SQLite wird das Paket better-sqlite3 benötigt')));
+        console.error(chalk.yellow(t('   Installieren mit: npm install better-sqlite3')));
+        return false;
+      }
+
+      try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        db = new Database(filePath);
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS lists (name TEXT PRIMARY KEY, position INTEGER NOT NULL);
+          CREATE TABLE IF NOT EXISTS tasks (
+            list TEXT NOT NULL,
+            position INTEGER NOT NULL,
+            ${columns.map(column => `${column} TEXT`).join(',\n            ')},
+            UNIQUE (list, id)
+          );
+          CREATE TABLE IF NOT EXISTS sessions (
+            ${sessionColumns.map(column => `${column} TEXT${column === '"id"' ? ' PRIMARY KEY' : ''}`).join(',\n            ')}
+          );
+        `);
+        const existing = db.prepare('PRAGMA table_info(tasks)').all().map(column => column.name);
+        for (const column of SHEET_HEADER.filter(name => !existing.includes(name))) {
+          db.exec(`ALTER TABLE tasks ADD COLUMN "${column}" TEXT`);
+        }
+        logStorageOpened('sqlite', filePath);
+        return true;
+      } catch (error) {
+        console.error(chalk.red(t('✗ Fehler beim Öffnen von {path}:', { path: filePath })));
+        console.error(chalk.dim(`   ${error.message}`));
+        return false;
+      }
+    },
+    listNames() {
+      return db.prepare('SELECT name FROM lists ORDER BY position').all().map(row => row.name);
+    },
+    async readList(name) {
+      const rows = db.prepare('SELECT rowid, * FROM tasks WHERE list = ? ORDER BY position, rowid').all(name);
+      const rowTasks = recordsToTasks(rows);
+
+      // Neu vergebene IDs sofort speichern, damit die Zeilen beim Schreiben wiedergefunden werden
+      const setId = db.prepare('UPDATE tasks SET id = ? WHERE rowid = ?');
+      db.transaction(() => {
+        rows.forEach((row, index) => {
+          if (row.id !== rowTasks[index].id) {
+            setId.run(rowTasks[index].id, row.rowid);
+          }
+        });
+      })();
+      return rowTasks;
+    },
+    async writeList(name, targetTasks) {
+      const rows = db.prepare('SELECT rowid, * FROM tasks WHERE list = ?').all(name);
+      const rowsById = new Map(rows.map(row => [row.id, row]));
+      const targetIds = new Set(targetTasks.map(task => task.id));
+      const insert = db.prepare(`INSERT INTO tasks (list, position, ${columns.join(', ')}) VALUES (${['?', '?', ...columns.map(() => '?')].join(', ')})`);
+      const update = db.prepare(`UPDATE tasks SET position = ?, ${columns.map(column => `${column} = ?`).join(', ')} WHERE rowid = ?`);
+      const remove = db.prepare('DELETE FROM tasks WHERE rowid = ?');
+      const result = { added: 0, updated: 0, deleted: 0 };
+
+      db.transaction(() => {
+        for (const row of rows.filter(row => !targetIds.has(row.id))) {
+          remove.run(row.rowid);
+          result.deleted++;
+        }
+        targetTasks.forEach((task, position) => {
+          const record = taskToRecord(task);
+          const values = SHEET_HEADER.map(column => record[column]);
+          const row = rowsById.get(task.id);
+          if (!row) {
+            insert.run(name, position, ...values);
+            result.added++;
+            return;
+          }
+          const changed = SHEET_HEADER.some((column, index) => (row[column] || '') !== values[index]);
+          if (changed || row.position !== position) {
+            update.run(position, ...values, row.rowid);
+          }
+          if (changed) {
+            result.updated++;
+          }
+        });
+      })();
+      return result;
+    },
+    async createList(name) {
+      db.prepare('INSERT INTO lists (name, position) SELECT ?, COALESCE(MAX(position) + 1, 0) FROM lists').run(name);
+    },
+    async renameList(oldName, newName) {
+      db.transaction(() => {
+        db.prepare('UPDATE lists SET name = ? WHERE name = ?').run(newName, oldName);
+        db.prepare('UPDATE tasks SET list = ? WHERE list = ?').run(newName, oldName);
+      })();
+    },
+    async deleteList(name) {
+      db.transaction(() => {
+        db.prepare('DELETE FROM lists WHERE name = ?').run(name);
+        db.prepare('DELETE FROM tasks WHERE list = ?').run(name);
+      })();
+    },
+    async readSessions() {
+      return recordsToSessions(db.prepare('SELECT * FROM sessions ORDER BY start, rowid').all());
+    },
+    async saveSessions(changed) {
+      const upsert = db.prepare(`INSERT INTO sessions (${sessionColumns.join(', ')}) VALUES (${sessionColumns.map(() => '?').join(', ')})
+        ON CONFLICT ("id") DO UPDATE SET ${sessionColumns.slice(1).map(column => `${column} = excluded.${column}`).join(', ')}`);
+      db.transaction(() => {
+        for (const session of changed) {
+          upsert.run(...SESSION_HEADER.map(column => session[column]));
         }
+      })();
+    },
+  };
+}
+
+// Speicher anlegen. Alle Speicher bieten dieselben Funktionen: connect, listNames,
+// readList (Aufgaben einer Liste in gespeicherter Reihenfolge), writeList (Liste auf den
+// übergebenen Stand bringen, liefert { added, updated, deleted }), createList, renameList,
+// deleteList sowie readSessions und saveSessions (Sitzungen der Zeiterfassung anhand der ID
+// anlegen oder aktualisieren).
+function createStorage({ storage: type, storagePath, spreadsheetId, credentialsPath }) {
+  if (type === 'json') {
+    return createJsonStorage(storagePath);
+  }
+  if (type === 'sqlite') {
+    return createSqliteStorage(storagePath);
+  }
+  return createSheetsStorage({ spreadsheetId, credentialsPath });
+}
+
+// Verbindung zum konfigurierten Speicher herstellen
+async function connectStorage() {
+  const candidate = createStorage(config);
+  storage = (await candidate.connect()) ? candidate : null;
+  return Boolean(storage);
+}
+
+// Speicher für Meldungen, z.B. "Google Sheets" oder "JSON-Datei ~/.config/tododos/tasks-default.json"
+function describeStorage(options = config) {
+  const label = t(STORAGE_LABELS[options.storage]);
+  return options.storage === 'sheets' ? label : `${label} ${options.storagePath}`;
+}
+
+// Auswahl nach Änderungen an der Liste gültig halten
+function clampSelection() {
+  selectedIndex = Math.max(0, Math.min(selectedIndex, getVisibleTasks().length - 1));
+}
+
+// Startliste festlegen: Konfiguration, zuletzt verwendete Liste oder erste Liste im Speicher
+function initCurrentList() {
+  let lastList = '';
+  try {
+    lastList = readCache()?.currentList || '';
+  } catch (error) {
+    // Ohne lesbaren Cache gibt es keine zuletzt verwendete Liste
+  }
+  currentList = config.list || lastList || storage?.listNames()[0] || t('Aufgaben');
+}
+
+// Listennamen ablehnen, die mit dem Arbeitsblatt der Zeiterfassung kollidieren würden
+function checkListName(listName) {
+  if (listName === SESSIONS_SHEET) {
+    throw new Error(t('"{list}" ist für die Zeiterfassung reserviert', { list: listName }));
+  }
+}
+
+// Sicherstellen, dass die aktuelle Liste im Speicher existiert. Eine offline angelegte Liste
+// wird erstellt, eine bereits synchronisierte, aber fehlende gilt als Fehler.
+async function ensureList() {
+  if (storage.listNames().includes(currentList)) {
+    return;
+  }
+  checkListName(currentList);
+  if (baseTasks.length > 0) {
+    throw new Error(t('Liste "{list}" existiert nicht mehr im Speicher', { list: currentList }));
+  }
+
+  logStatus(chalk.blue(t('📋 Lege Liste "{list}" an...', { list: currentList })));
+  await storage.createList(currentList);
+}
+
+// Namen aller Listen: Listen im Speicher und offline angelegte Listen aus dem Cache
+function getListNames() {
+  const names = storage ? storage.listNames() : [];
+  try {
+    for (const name of Object.keys(readCache()?.lists || {})) {
+      if (!names.includes(name)) {
+        names.push(name);
+      }
     }
+  } catch (error) {
+    // Ohne lesbaren Cache nur die Listen aus dem Speicher
+  }
+  if (!names.includes(currentList)) {
+    names.push(currentList);
+  }
+  return names;
+}
+
+// Aufgaben laden
+async function loadTasks() {
+  try {
+    if (!storage && !(await connectStorage())) {
+      logStatus(chalk.yellow(t('⚠ Keine Verbindung zum Speicher - verwende lokale Daten')));
+      online = false;
+      return loadCachedTasks();
+    }
+
+    // Zeiterfassung gilt für alle Listen und wird unabhängig davon abgeglichen
+    await syncSessions();
+
+    // Offline-Änderungen zuerst übertragen, sonst würden sie überschrieben
+    if (pendingChanges.length > 0) {
+      logStatus(chalk.blue(t('🔄 Übertrage {count} ausstehende Änderungen...', { count: pendingChanges.length })));
+      return await saveTasks();
+    }
+
+    await ensureList();
+    tasks = await storage.readList(currentList);
+
+    // Neu vergebene IDs sofort speichern, damit sie stabil bleiben
+    await storage.writeList(currentList, tasks);
+    baseTasks = tasks.map(snapshotTask);
+    online = true;
+    clampSelection();
+    writeCache();
     
-    renderMainView();
-    showPrompt();
+    logStatus(chalk.green(t('✓ {count} Aufgaben geladen', { count: tasks.length })));
+    return true;
     
   } catch (error) {
-    console.error(chalk.red('Fehler:'), error.message);
-    showPrompt();
+    console.error(chalk.red(t('✗ Fehler beim Laden der Aufgaben:')));
+    console.error(chalk.dim(`   ${error.message}`));
+    
+    // Fallback: lokaler Cache
+    online = false;
+    return loadCachedTasks();
+  }
+}
+
+// Aufgaben speichern
+// Ein laufendes Speichern (z.B. automatisch im Hintergrund) wird erst abgeschlossen
+async function saveTasks(options = {}) {
+  while (currentSave) {
+    await currentSave;
+  }
+  currentSave = saveTasksToStorage(options);
+  try {
+    return await currentSave;
+  } finally {
+    currentSave = null;
+  }
+}
+
+// Änderungen in den Speicher schreiben. Im Hintergrund (background) ohne Ausgaben, ohne neuen
+// Verbindungsversuch und ohne Rückfragen bei Konflikten. Mit feed: false bleibt die Kalenderdatei unverändert.
+async function saveTasksToStorage({ background = false, feed = true } = {}) {
+  const log = background ? () => {} : logStatus;
+  const logError = background ? () => {} : console.error;
+
+  try {
+    if (background && !storage) {
+      return false;
+    }
+    if (!storage && !(await connectStorage())) {
+      online = false;
+      writeCache();
+      if (feed) {
+        writeIcsFeed();
+      }
+      logStatus(chalk.yellow(t('⚠ Keine Verbindung zum Speicher - Änderungen lokal gespeichert')));
+      logStatus(chalk.dim(t('   {count} Änderungen werden beim nächsten "save" oder "reload" übertragen', { count: pendingChanges.length })));
+      return false;
+    }
+
+    await ensureList();
+    
+    log(chalk.blue(t('💾 Speichere Aufgaben...')));
+    
+    // Gespeicherten Stand laden
+    const storedTasks = await storage.readList(currentList);
+
+    // Lokale Änderungen mit zwischenzeitlichen Änderungen anderer zusammenführen
+    const { merged: mergedTasks, conflicts } = mergeTasks(baseTasks, tasks, storedTasks);
+    if (conflicts.length > 0 && (!rl || background)) {
+      // Ohne Terminal (Kommandozeilen-Modus) bzw. im Hintergrund können Konflikte nicht aufgelöst werden
+      log(chalk.red(t('✗ {count} Konflikte mit Änderungen im Speicher - bitte interaktiv speichern', { count: conflicts.length })));
+      return false;
+    }
+    if (conflicts.length > 0 && !(await resolveConflicts(mergedTasks, conflicts))) {
+      logStatus(chalk.yellow(t('Speichern abgebrochen - lokale Änderungen bleiben erhalten')));
+      return false;
+    }
+    
+    // Stand beim Zusammenführen merken - während des Schreibens kann im Hintergrund
+    // weiter bearbeitet werden
+    const localAtMerge = tasks.map(snapshotTask);
+    const changesAtMerge = pendingChanges.length;
+
+    // Nur tatsächlich geänderte Aufgaben schreiben
+    const result = await storage.writeList(currentList, mergedTasks);
+
+    if (pendingChanges.length > changesAtMerge) {
+      // Zwischenzeitliche lokale Änderungen auf den gespeicherten Stand übertragen,
+      // bei Überschneidungen gewinnt die neuere lokale Änderung
+      const { merged, conflicts: overlaps } = mergeTasks(localAtMerge, tasks, mergedTasks);
+      for (const overlap of overlaps.filter(c => c.kind === 'field')) {
+        merged.find(task => task.id === overlap.id)[overlap.field] = overlap.local;
+      }
+      tasks = merged;
+      pendingChanges = pendingChanges.slice(changesAtMerge);
+    } else {
+      tasks = mergedTasks;
+      pendingChanges = [];
+    }
+    baseTasks = mergedTasks.map(snapshotTask);
+    online = true;
+    clampSelection();
+    writeCache();
+    if (feed) {
+      writeIcsFeed();
+    }
+    
+    log(chalk.green(t('✓ {count} Aufgaben erfolgreich gespeichert', { count: tasks.length })));
+    log(chalk.dim(t('   {added} neu, {updated} geändert, {deleted} gelöscht', result)));
+    return true;
+    
+  } catch (error) {
+    logError(chalk.red(t('✗ Fehler beim Speichern der Aufgaben:')));
+    logError(chalk.dim(`   ${error.message}`));
+    
+    if (error.message.includes('403')) {
+      logError(chalk.yellow(t('   → Keine Schreibberechtigung. Prüfe Sheet-Freigabe.')));
+    }
+
+    // Änderungen bleiben im lokalen Cache erhalten
+    online = false;
+    writeCache();
+    
+    return false;
+  }
+}
+
+// Automatisches Speichern vormerken: "autosave" Sekunden nach der letzten Änderung
+// (nur in der interaktiven Oberfläche)
+function scheduleAutosave() {
+  if (!interactive || !(config.autosave > 0)) {
+    return;
+  }
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(runAutosave, config.autosave * 1000);
+}
+
+// Im Hintergrund speichern, ohne die Eingabe zu blockieren. Schlägt das Speichern fehl,
+// wird es im selben Abstand erneut versucht; ohne Verbindung bleiben die Änderungen im Cache.
+async function runAutosave() {
+  autosaveTimer = null;
+  if (!isDirty() || currentSave) {
+    return;
+  }
+
+  const saved = await saveTasks({ background: true });
+  if (saved) {
+    statusMessage = chalk.dim(t('✓ Automatisch gespeichert'));
+  } else if (isDirty() && storage) {
+    statusMessage = chalk.yellow(t('⚠ Automatisches Speichern fehlgeschlagen - "save" zeigt Details'));
+    scheduleAutosave();
+  }
+  if (keyboardMode && keysActive && view === 'main') {
+    renderKeyboardView();
+  }
+}
+
+// Bei ungespeicherten Änderungen nachfragen: Speichern, Verwerfen oder Abbrechen.
+// Liefert false, wenn die Aktion abgebrochen werden soll.
+async function confirmUnsavedChanges(action) {
+  if (!isDirty()) {
+    return true;
+  }
+
+  const answer = (await ask(chalk.yellow(t('⚠ {count} ungespeicherte Änderungen vor "{action}" - (s)peichern, (v)erwerfen oder (a)bbrechen? ', { count: pendingChanges.length, action })))).trim().toLowerCase();
+  if (answer.startsWith('s')) {
+    if (!(await saveTasks())) {
+      console.log(chalk.yellow(t('   Änderungen bleiben im lokalen Cache und werden beim nächsten Start übertragen')));
+    }
+    return true;
+  }
+  // (v)erwerfen bzw. (d)iscard
+  if (answer.startsWith('v') || answer.startsWith('d')) {
+    discardChanges();
+    console.log(chalk.yellow(t('✓ Änderungen verworfen')));
+    return true;
+  }
+  console.log(chalk.yellow(t('Abgebrochen')));
+  return false;
+}
+
+// Programm beenden, vorher ungespeicherte Änderungen klären
+async function quitApp() {
+  if (!(await confirmUnsavedChanges(t('beenden')))) {
+    return;
+  }
+  const running = getRunningSession();
+  if (running) {
+    console.log(chalk.dim(t('⏱ Zeiterfassung für "{title}" läuft weiter ("stop" beendet sie)', { title: running.title })));
+  }
+  console.log(chalk.blue(t('Auf Wiedersehen! 👋')));
+  process.exit(0);
+}
+
+// Zu einer anderen Liste wechseln - ausstehende Änderungen bleiben im Cache der alten Liste
+async function switchList(listName) {
+  // Nach dem Löschen der aktuellen Liste gibt es keinen Stand mehr, der gemerkt werden müsste
+  if (currentList) {
+    writeCache();
+  }
+  currentList = listName;
+  selectedIndex = 0;
+  query = '';
+
+  const loaded = online ? (restoreCache(), await loadTasks()) : loadCachedTasks();
+  // Zuletzt verwendete Liste merken
+  writeCache();
+  return loaded;
+}
+
+// Ausstehende Änderungen anderer Listen (z.B. nach "move") übertragen
+async function syncOtherLists() {
+  if (!online) {
+    return;
+  }
+
+  let cache;
+  try {
+    cache = readCache();
+  } catch (error) {
+    return;
+  }
+
+  const listNames = Object.keys(cache?.lists || {}).filter(name =>
+    name !== currentList && readCachedList(cache, name).pendingChanges.length > 0
+  );
+  if (listNames.length === 0) {
+    return;
+  }
+
+  const originalList = currentList;
+  const originalIndex = selectedIndex;
+  for (const listName of listNames) {
+    logStatus(chalk.blue(t('🔄 Liste "{list}":', { list: listName })));
+    currentList = listName;
+    restoreCache();
+    // Die Kalenderdatei zeigt die aktuelle Liste und wird erst am Ende einmal geschrieben
+    await saveTasks({ feed: false });
+  }
+
+  currentList = originalList;
+  restoreCache();
+  selectedIndex = originalIndex;
+  writeIcsFeed();
+}
+
+// Neue Liste anlegen (offline erst beim nächsten Speichern im Speicher)
+async function createList(listName) {
+  checkListName(listName);
+  if (getListNames().includes(listName)) {
+    throw new Error(t('Liste "{list}" existiert bereits', { list: listName }));
+  }
+  if (storage && online) {
+    await storage.createList(listName);
+  }
+}
+
+// Liste im Speicher vorhanden und erreichbar?
+function isStoredList(listName) {
+  return Boolean(storage && online && storage.listNames().includes(listName));
+}
+
+// Liste umbenennen (nur online möglich)
+async function renameList(oldName, newName) {
+  if (!isStoredList(oldName)) {
+    throw new Error(t('Umbenennen ist nur mit Verbindung zum Speicher möglich'));
+  }
+  checkListName(newName);
+  if (getListNames().includes(newName)) {
+    throw new Error(t('Liste "{list}" existiert bereits', { list: newName }));
+  }
+
+  await storage.renameList(oldName, newName);
+  // Sitzungen gelöschter Aufgaben werden über den Listennamen zugeordnet
+  const renamed = sessions.filter(session => session.list === oldName).map(session => ({ ...session, list: newName }));
+  if (renamed.length > 0) {
+    await storeSessions(renamed);
+  }
+  updateCache(cache => {
+    if (cache.lists[oldName]) {
+      cache.lists[newName] = cache.lists[oldName];
+      delete cache.lists[oldName];
+    }
+  });
+  if (currentList === oldName) {
+    currentList = newName;
+    writeCache();
+  }
+}
+
+// Liste samt Arbeitsblatt bzw. Aufgaben löschen (nur online möglich)
+async function deleteList(listName) {
+  if (!isStoredList(listName)) {
+    throw new Error(t('Löschen ist nur mit Verbindung zum Speicher möglich'));
+  }
+  if (storage.listNames().length === 1) {
+    throw new Error(t('Die letzte Liste kann nicht gelöscht werden'));
+  }
+
+  await storage.deleteList(listName);
+  updateCache(cache => {
+    delete cache.lists[listName];
+  });
+  // Sonst schreibt der nächste Listenwechsel die gelöschte Liste wieder in den Cache
+  if (currentList === listName) {
+    currentList = '';
+  }
+}
+
+// Aufgabe in eine andere Liste verschieben. Sie wird im Cache der Zielliste als
+// ausstehende Änderung vorgemerkt und beim nächsten Speichern übertragen.
+function moveTask(index, targetList) {
+  const task = snapshotTask(tasks[index]);
+  const subtasks = getDescendantIndices(tasks, index)
+    .sort((a, b) => a - b)
+    .map(i => ({ task: snapshotTask(tasks[i]), index: i }));
+
+  // In der Zielliste wird die Aufgabe zur Aufgabe der obersten Ebene, Unteraufgaben behalten ihre Eltern
+  updateCache(cache => {
+    const entry = readCachedList(cache, targetList);
+    for (const moved of [{ ...task, parent: '' }, ...subtasks.map(subtask => subtask.task)]) {
+      entry.tasks.push(moved);
+      entry.pendingChanges.push({ type: 'add', task: moved, index: entry.tasks.length - 1, at: new Date().toISOString() });
+    }
+    cache.lists[targetList] = entry;
+  });
+
+  withoutHistory(() => deleteTask(index));
+  if (recordingHistory) {
+    addToHistory({ type: 'move', task, index, subtasks, targetList, at: new Date().toISOString() });
+    writeCache();
+  }
+}
+
+// Verschieben rückgängig machen: Aufgabe und Unteraufgaben aus der Zielliste entfernen und
+// an ihren alten Positionen wieder einfügen
+function unmoveTask(operation) {
+  const restored = [{ task: operation.task, index: operation.index }, ...(operation.subtasks || [])]
+    .sort((a, b) => a.index - b.index);
+  const ids = restored.map(({ task }) => task.id);
+
+  updateCache(cache => {
+    const entry = readCachedList(cache, operation.targetList);
+    for (const task of entry.tasks.filter(t => ids.includes(t.id))) {
+      entry.pendingChanges.push({ type: 'delete', task, at: new Date().toISOString() });
+    }
+    entry.tasks = entry.tasks.filter(task => !ids.includes(task.id));
+    cache.lists[operation.targetList] = entry;
+  });
+  for (const { task, index } of restored) {
+    insertTask(task, index);
+  }
+}
+
+// Aufgabe an einer Position einfügen
+function insertTask(task, index = tasks.length) {
+  const position = Math.min(index, tasks.length);
+  const inserted = snapshotTask(task);
+  tasks.splice(position, 0, inserted);
+  recordChange({ type: 'add', task: snapshotTask(task), index: position });
+  return inserted;
+}
+
+// Aufgabe hinzufügen - weitere Felder (z.B. parent) über "fields"
+function addTask(title, priority = 'normal', dueDate = '', tags = [], fields = {}) {
+  const now = formatTimestamp();
+  const task = {
+    id: newTaskId(),
+    title,
+    status: initialStatus(),
+    priority,
+    dueDate,
+    tags,
+    ...TASK_DEFAULTS,
+    createdAt: now,
+    ...fields,
+  };
+  // Beim Import mitgebrachte Zeitstempel bleiben erhalten
+  task.createdAt = task.createdAt || now;
+  task.updatedAt = now;
+  task.completedAt = isDone(task) ? task.completedAt || now : '';
+  return insertTask(task);
+}
+
+// Aufgabe samt aller Unteraufgaben löschen
+function deleteTask(index) {
+  const task = tasks[index];
+  const indices = [index, ...getDescendantIndices(tasks, index)].sort((a, b) => b - a);
+
+  const deletedIds = indices.map(i => tasks[i].id);
+
+  // Von hinten löschen, damit "undo" alle Aufgaben an ihrer alten Position einfügt
+  recordBatch(t('Löschen von "{title}" mit Unteraufgaben', { title: task.title }), () => {
+    for (const i of indices) {
+      const [removed] = tasks.splice(i, 1);
+      recordChange({ type: 'delete', task: snapshotTask(removed), index: i });
+    }
+
+    // Verweise anderer Aufgaben auf die gelöschten entfernen
+    tasks.forEach((other, i) => {
+      const blockerIds = getBlockerIds(other);
+      if (blockerIds.some(id => deletedIds.includes(id))) {
+        editTask(i, { blockedBy: blockerIds.filter(id => !deletedIds.includes(id)).join(',') });
+      }
+    });
+  });
+}
+
+// Schnelle Aufgabe hinzufügen (nur Titel)
+async function handleQuickAdd() {
+  console.log(chalk.blue(t('\n⚡ Schnell-Aufgabe hinzufügen')));
+  const title = (await ask(t('Titel: '))).trim();
+  if (title) {
+    addTask(title);
+    console.log(chalk.green(t('✓ Aufgabe "{title}" schnell hinzugefügt', { title })));
+  } else {
+    console.log(chalk.yellow(t('Abgebrochen - kein Titel eingegeben')));
+  }
+}
+
+// Aufgabe bearbeiten - setzt die Änderungszeit und beim Wechsel des Status die Abschlusszeit
+function editTask(index, updates) {
+  const before = snapshotTask(tasks[index]);
+  const task = { ...tasks[index], ...updates, updatedAt: formatTimestamp() };
+  if (updates.status && updates.status !== before.status) {
+    task.completedAt = updates.status === doneStatus() ? task.updatedAt : '';
+  }
+  tasks[index] = task;
+  recordChange({ type: 'edit', before, after: snapshotTask(task) });
+}
+
+// Wochentage für Wiederholungsregeln (Index wie Date.getDay()), Eingaben auch englisch
+const WEEKDAYS = ['so', 'mo', 'di', 'mi', 'do', 'fr', 'sa'];
+const WEEKDAYS_EN = ['su', 'mo', 'tu', 'we', 'th', 'fr', 'sa'];
+
+// Datum als YYYY-MM-DD in lokaler Zeit (toISOString würde nach UTC umrechnen)
+function formatDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Zeitpunkt als YYYY-MM-DD HH:MM:SS in lokaler Zeit (für createdAt, updatedAt, completedAt)
+function formatTimestamp(date = new Date()) {
+  return `${formatDate(date)} ${date.toTimeString().slice(0, 8)}`;
+}
+
+// YYYY-MM-DD als lokales Datum (Mitternacht) lesen, null bei ungültigem Datum
+function parseIsoDate(text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(text || '');
+  if (!match) {
+    return null;
+  }
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return date.getMonth() === Number(match[2]) - 1 ? date : null;
+}
+
+// Datum um eine Anzahl Tage verschieben
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+// Datum im Monat mit gegebenem Tag, bei kürzeren Monaten der letzte Tag
+function dateInMonth(year, month, day) {
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  return new Date(year, month, Math.min(day, lastDay));
+}
+
+// Namen der Wochentage für Datumseingaben (Index wie Date.getDay())
+const WEEKDAY_NAMES = ['sonntag', 'montag', 'dienstag', 'mittwoch', 'donnerstag', 'freitag', 'samstag'];
+const WEEKDAY_NAMES_EN = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Eingabehilfe für Fälligkeiten
+const DUE_DATE_HINT = 'z.B. morgen, freitag 14:00, +3d, 15.11.';
+
+// Fälligkeit aus einer Benutzereingabe lesen. Versteht YYYY-MM-DD, DD.MM.YYYY, DD.MM.,
+// heute, morgen, übermorgen, Wochentage ("freitag", "nächsten montag"), "+3d", "+2w",
+// "-1w", "in 5 tagen" und "ende monat", jeweils mit optionaler Uhrzeit ("14:30", "um 9 uhr").
+// Die englischen Entsprechungen ("tomorrow", "next monday", "in 5 days", "end of month",
+// "at 9pm") funktionieren unabhängig von der eingestellten Sprache.
+// Liefert "YYYY-MM-DD" bzw. "YYYY-MM-DD HH:MM" oder null, wenn die Eingabe unbekannt ist.
+function parseDueDate(text, now = new Date()) {
+  let input = (text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  // Uhrzeit am Ende abtrennen
+  let time = '';
+  const timeMatch = input.match(/(?:^|\s)(?:um |at )?(\d{1,2})(?::(\d{2}))?( ?uhr| ?(am|pm))?$/);
+  if (timeMatch && (timeMatch[2] || timeMatch[3])) {
+    let hours = Number(timeMatch[1]);
+    const minutes = Number(timeMatch[2] || 0);
+    if (hours > 23 || minutes > 59 || (timeMatch[4] && (hours < 1 || hours > 12))) {
+      return null;
+    }
+    if (timeMatch[4]) {
+      hours = (hours % 12) + (timeMatch[4] === 'pm' ? 12 : 0);
+    }
+    time = ` ${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    input = input.slice(0, timeMatch.index).trim();
+  }
+
+  let date = null;
+  let match;
+  if (input === '' || input === 'heute' || input === 'today') {
+    // Nur eine Uhrzeit bezieht sich auf heute
+    date = time || input ? today : null;
+  } else if (input === 'morgen' || input === 'tomorrow') {
+    date = addDays(today, 1);
+  } else if (input === 'übermorgen' || input === 'day after tomorrow') {
+    date = addDays(today, 2);
+  } else if (/^\d{4}-\d{2}-\d{2}$/.test(input)) {
+    date = parseIsoDate(input);
+  } else if ((match = input.match(/^(\d{1,2})\.(\d{1,2})\.?(\d{4})?$/))) {
+    // DD.MM.YYYY oder DD.MM. (aktuelles Jahr)
+    const [, day, month, year = today.getFullYear()] = match;
+    date = new Date(Number(year), Number(month) - 1, Number(day));
+    if (date.getMonth() !== Number(month) - 1) {
+      date = null;
+    }
+  } else if ((match = input.match(/^([+-])(\d+) ?([dtwm])$/) || input.match(/^in ()(\d+|einem|einer|a|an|one) (tag|tagen|woche|wochen|monat|monaten|days?|weeks?|months?)$/))) {
+    const amount = (match[1] === '-' ? -1 : 1) * (/^\d+$/.test(match[2]) ? Number(match[2]) : 1);
+    const unit = match[3][0];
+    if (unit === 'm') {
+      date = dateInMonth(today.getFullYear(), today.getMonth() + amount, today.getDate());
+    } else {
+      date = addDays(today, unit === 'w' ? amount * 7 : amount);
+    }
+  } else if (/^(ende (des |dieses )?monats?|monatsende|end of (the )?month)$/.test(input)) {
+    date = new Date(today.getFullYear(), today.getMonth() + 1, 0);
+  } else if ((match = input.match(/^(nächste[nr]? |kommende[nr]? |next )?([a-z]{2,})$/))) {
+    // Wochentag: ohne Zusatz ist heute eingeschlossen, "nächsten" meint den nächsten nach heute
+    let weekday = WEEKDAY_NAMES.findIndex(name => name.startsWith(match[2]));
+    if (weekday === -1) {
+      weekday = WEEKDAY_NAMES_EN.findIndex(name => name.startsWith(match[2]));
+    }
+    if (weekday !== -1) {
+      let offset = (weekday - today.getDay() + 7) % 7;
+      if (match[1] && offset === 0) {
+        offset = 7;
+      }
+      date = addDays(today, offset);
+    }
+  }
+
+  return date ? formatDate(date) + time : null;
+}
+
+// Fälligkeit lesbar mit Wochentag anzeigen, z.B. "Freitag, 23.10.2026 14:00"
+function describeDueDate(dueDate) {
+  const date = parseIsoDate(dueDate);
+  if (!date) {
+    return dueDate;
+  }
+  const weekday = t(WEEKDAY_NAMES[date.getDay()]);
+  const day = t('{day}.{month}.{year}', {
+    day: String(date.getDate()).padStart(2, '0'),
+    month: String(date.getMonth() + 1).padStart(2, '0'),
+    year: date.getFullYear(),
+  });
+  return `${weekday[0].toUpperCase()}${weekday.slice(1)}, ${day}${dueDate.slice(10)}`;
+}
+
+// Wiederholungsregel lesen, z.B. "täglich", "werktags", "wöchentlich:mo,fr",
+// "monatlich:15" oder "alle:3" (3 Tage nach dem Erledigen). null bei ungültiger Regel.
+function parseRecurrence(text) {
+  const [rawType, rawValue = ''] = (text || '').trim().toLowerCase().split(':');
+  const value = rawValue.trim();
+
+  switch (rawType.trim()) {
+    case 'täglich':
+    case 'daily':
+      return value ? null : { type: 'daily' };
+    case 'werktags':
+    case 'weekdays':
+      return value ? null : { type: 'weekly', weekdays: [1, 2, 3, 4, 5] };
+    case 'wöchentlich':
+    case 'weekly': {
+      const weekdays = value ? value.split(',').map(day => {
+        const key = day.trim().slice(0, 2);
+        return WEEKDAYS.includes(key) ? WEEKDAYS.indexOf(key) : WEEKDAYS_EN.indexOf(key);
+      }) : [];
+      return weekdays.includes(-1) ? null : { type: 'weekly', weekdays: [...new Set(weekdays)].sort() };
+    }
+    case 'monatlich':
+    case 'monthly': {
+      const day = value ? Number(value) : null;
+      return day !== null && !(Number.isInteger(day) && day >= 1 && day <= 31) ? null : { type: 'monthly', day };
+    }
+    case 'alle':
+    case 'every': {
+      const days = Number(value.replace(/d$/, ''));
+      return Number.isInteger(days) && days >= 1 ? { type: 'after', days } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+// Wiederholungsregel in die gespeicherte Schreibweise bringen
+function formatRecurrence(rule) {
+  switch (rule.type) {
+    case 'daily':
+      return 'täglich';
+    case 'weekly':
+      return rule.weekdays.join(',') === '1,2,3,4,5'
+        ? 'werktags'
+        : `wöchentlich${rule.weekdays.length > 0 ? `:${rule.weekdays.map(day => WEEKDAYS[day]).join(',')}` : ''}`;
+    case 'monthly':
+      return `monatlich${rule.day ? `:${rule.day}` : ''}`;
+    case 'after':
+      return `alle:${rule.days}`;
+    default:
+      return '';
+  }
+}
+
+// Wiederholungsregel in der Sprache der Oberfläche anzeigen, z.B. "weekly:mo,th" für "wöchentlich:mo,do"
+function recurrenceLabel(recur) {
+  const rule = parseRecurrence(recur);
+  if (!rule) {
+    return recur;
+  }
+  const [type, value] = formatRecurrence(rule).split(':');
+  if (!value) {
+    return t(type);
+  }
+  return `${t(type)}:${rule.type === 'weekly' ? value.split(',').map(day => t(day)).join(',') : value}`;
+}
+
+// Nächsten Termin nach einem Datum gemäß Regel berechnen
+function nextOccurrence(rule, from, anchor) {
+  switch (rule.type) {
+    case 'daily':
+      return addDays(from, 1);
+    case 'weekly': {
+      // Ohne Wochentage gilt der Wochentag der bisherigen Fälligkeit
+      const weekdays = rule.weekdays.length > 0 ? rule.weekdays : [anchor.getDay()];
+      let next = addDays(from, 1);
+      while (!weekdays.includes(next.getDay())) {
+        next = addDays(next, 1);
+      }
+      return next;
+    }
+    case 'monthly': {
+      const day = rule.day || anchor.getDate();
+      const sameMonth = dateInMonth(from.getFullYear(), from.getMonth(), day);
+      return sameMonth > from ? sameMonth : dateInMonth(from.getFullYear(), from.getMonth() + 1, day);
+    }
+    default:
+      return addDays(from, 1);
+  }
+}
+
+// Fälligkeit der nächsten Wiederholung: erster Termin nach der bisherigen
+// Fälligkeit, der nach heute liegt. "alle:N" zählt ab dem Erledigen.
+function nextDueDate(rule, dueDate, today = new Date()) {
+  const todayDate = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const time = (dueDate || '').slice(10);
+
+  if (rule.type === 'after') {
+    return formatDate(addDays(todayDate, rule.days)) + time;
+  }
+
+  const anchor = parseIsoDate(dueDate) || todayDate;
+  let next = nextOccurrence(rule, anchor, anchor);
+  while (next <= todayDate) {
+    next = nextOccurrence(rule, next, anchor);
+  }
+  return formatDate(next) + time;
+}
+
+// Erledigt umschalten: erledigte Aufgaben gehen zurück in den ersten Status
+function completeTask(index) {
+  return setTaskStatus(index, isDone(tasks[index]) ? initialStatus() : doneStatus());
+}
+
+// Status einer Aufgabe setzen - beim Erledigen werden offene Unteraufgaben mit erledigt,
+// bei wiederkehrenden Aufgaben wird die nächste Wiederholung angelegt (und zurückgegeben), falls
+// die Aufgabe noch keine hat. Die Wiederholung verweist über "recurFrom" auf ihre Vorgängerin.
+// Aufgaben, die dadurch nicht mehr blockiert sind, werden gemeldet.
+function setTaskStatus(index, status) {
+  const task = tasks[index];
+  if (status !== doneStatus()) {
+    if (task.status !== status) {
+      editTask(index, { status });
+    }
+    return null;
+  }
+  if (isDone(task)) {
+    return null;
+  }
+
+  const blockedIds = tasks.filter((item, i) => isBlocked(tasks, i)).map(item => item.id);
+  const next = recordBatch(t('Erledigen von "{title}"', { title: task.title }), () => {
+    for (const i of getDescendantIndices(tasks, index)) {
+      if (!isDone(tasks[i])) {
+        editTask(i, { status });
+      }
+    }
+    editTask(index, { status });
+
+    const rule = parseRecurrence(task.recur);
+    if (!rule) {
+      return null;
+    }
+    // Wurde die Aufgabe schon einmal erledigt und wieder geöffnet, gibt es die nächste Wiederholung bereits
+    if (tasks.some(item => item.recurFrom === task.id)) {
+      return null;
+    }
+    return addTask(task.title, task.priority, nextDueDate(rule, task.dueDate), [...task.tags], {
+      parent: task.parent || '',
+      recur: task.recur,
+      recurFrom: task.id,
+    });
+  });
+
+  const unblocked = tasks.filter((item, i) => blockedIds.includes(item.id) && !isDone(item) && !isBlocked(tasks, i));
+  if (unblocked.length > 0) {
+    logStatus(chalk.green(t('🔓 Nicht mehr blockiert: {titles}', { titles: unblocked.map(item => `"${item.title}"`).join(', ') })));
+  }
+  return next;
+}
+
+// Unteraufgabe einrücken: wird Kind der vorherigen Aufgabe auf gleicher Ebene
+function indentTask(index) {
+  const siblings = getSiblingIndices(tasks, index);
+  const position = siblings.indexOf(index);
+  if (position <= 0) {
+    return false;
+  }
+  editTask(index, { parent: tasks[siblings[position - 1]].id });
+  return true;
+}
+
+// Unteraufgabe ausrücken: wird Geschwister ihrer bisherigen Elternaufgabe
+function outdentTask(index) {
+  const parentIndex = getParentIndex(tasks, index);
+  if (parentIndex === -1) {
+    return false;
+  }
+  editTask(index, { parent: tasks[parentIndex].parent || '' });
+  return true;
+}
+
+// Funktion ausführen, ohne dass ihre Änderungen im Verlauf landen
+function withoutHistory(fn) {
+  const previous = recordingHistory;
+  recordingHistory = false;
+  try {
+    return fn();
+  } finally {
+    recordingHistory = previous;
+  }
+}
+
+// Operation aus dem Verlauf erneut ausführen (reverse = false) oder rückgängig machen.
+// Liefert false, wenn die betroffene Aufgabe nicht mehr existiert.
+function applyOperation(operation, reverse) {
+  const index = tasks.findIndex(task => task.id === (operation.task || operation.after)?.id);
+
+  switch (operation.type) {
+    case 'add':
+    case 'delete': {
+      const insert = (operation.type === 'add') !== reverse;
+      if (insert) {
+        if (index !== -1) {
+          return false;
+        }
+        insertTask(operation.task, operation.index);
+      } else {
+        if (index === -1) {
+          return false;
+        }
+        deleteTask(index);
+      }
+      return true;
+    }
+
+    case 'edit': {
+      if (index === -1) {
+        return false;
+      }
+      // Nur die Felder dieser Änderung zurücksetzen, spätere Änderungen anderer Felder bleiben
+      const source = reverse ? operation.before : operation.after;
+      const updates = {};
+      for (const field of changedFields(operation.before, operation.after)) {
+        updates[field] = source[field];
+      }
+      editTask(index, updates);
+      return true;
+    }
+
+    case 'move':
+      if (reverse) {
+        if (index !== -1) {
+          return false;
+        }
+        unmoveTask(operation);
+      } else {
+        if (index === -1) {
+          return false;
+        }
+        moveTask(index, operation.targetList);
+      }
+      return true;
+
+    case 'batch': {
+      const operations = reverse ? [...operation.operations].reverse() : operation.operations;
+      return operations
+        .map(part => applyOperation(part, reverse))
+        .some(applied => applied);
+    }
+
+    default:
+      return false;
+  }
+}
+
+// Kurzbeschreibung einer Operation für Meldungen und Verlauf
+function describeOperation(operation) {
+  switch (operation.type) {
+    case 'add':
+      return t('Hinzufügen von "{title}"', { title: operation.task.title });
+    case 'delete':
+      return t('Löschen von "{title}"', { title: operation.task.title });
+    case 'edit': {
+      const fields = changedFields(operation.before, operation.after).filter(field => !TIMESTAMP_FIELDS.includes(field));
+      return t('Bearbeiten von "{title}" ({fields})', { title: operation.after.title, fields: fields.join(', ') });
+    }
+    case 'move':
+      return t('Verschieben von "{title}" nach "{list}"', { title: operation.task.title, list: operation.targetList });
+    case 'batch':
+      return t('{label} ({count} Änderungen)', { label: operation.label, count: operation.operations.length });
+    default:
+      return operation.type;
+  }
+}
+
+// Letzte Operation rückgängig machen
+function undo() {
+  const operation = history.pop();
+  if (!operation) {
+    return null;
+  }
+
+  const applied = withoutHistory(() => applyOperation(operation, true));
+  if (applied) {
+    redoStack.push(operation);
+  }
+  writeCache();
+  return { operation, applied };
+}
+
+// Zuletzt rückgängig gemachte Operation wiederholen
+function redo() {
+  const operation = redoStack.pop();
+  if (!operation) {
+    return null;
+  }
+
+  const applied = withoutHistory(() => applyOperation(operation, false));
+  if (applied) {
+    history.push(operation);
+  }
+  writeCache();
+  return { operation, applied };
+}
+
+// Reihenfolge der Prioritäten beim Sortieren (hoch zuerst)
+const PRIORITY_RANK = { hoch: 0, normal: 1, niedrig: 2 };
+
+// Suchanfrage zerlegen, z.B. 'status:offen prio:hoch tag:ops due<2026-11-01 "release" sort:due,-prio'.
+// Felder mit vorangestelltem "-" werden verneint, alles andere wird im Titel gesucht.
+// Status und Priorität dürfen auch englisch angegeben werden (status:done, prio:high).
+function parseQuery(query) {
+  const parsed = { conditions: [], text: [], sort: [], errors: [] };
+  const tokens = query.match(/[^\s"]*"[^"]*"?|\S+/g) || [];
+
+  for (const token of tokens) {
+    const match = token.match(/^(-?)(status|prio|priority|tag|due|sort):?(<=|>=|<|>|)(.*)$/i);
+    if (!match || (!match[3] && !token.includes(':'))) {
+      parsed.text.push(token.replace(/"/g, '').toLowerCase());
+      continue;
+    }
+
+    const [, negate, rawField, operator, rawValue] = match;
+    const field = rawField.toLowerCase() === 'priority' ? 'prio' : rawField.toLowerCase();
+    const value = rawValue.replace(/"/g, '').trim();
+
+    if (field === 'sort') {
+      for (const key of value.split(',').filter(key => key.length > 0)) {
+        const name = key.replace(/^-/, '').toLowerCase();
+        if (['due', 'prio', 'title', 'status'].includes(name)) {
+          parsed.sort.push({ key: name, descending: key.startsWith('-') });
+        } else {
+          parsed.errors.push(t('Unbekannter Sortierschlüssel "{key}"', { key: name }));
+        }
+      }
+    } else if (field === 'due' && value && !isNone(value)) {
+      // Relative Angaben wie "due<+7d" oder "due:morgen" werden bei jeder Auswertung neu aufgelöst
+      const dueDate = parseDueDate(value);
+      if (!dueDate) {
+        parsed.errors.push(t('Ungültiges Datum "{value}" ({hint})', { value, hint: t(DUE_DATE_HINT) }));
+      } else {
+        parsed.conditions.push({ field, operator: operator || ':', value: dueDate.slice(0, 10), negate: negate === '-' });
+      }
+    } else if (operator && field !== 'due') {
+      parsed.errors.push(t('Vergleich "{operator}" nur bei due möglich', { operator }));
+    } else {
+      const stored = field === 'status' ? parseStatus(value) : field === 'prio' ? parsePriority(value) : null;
+      parsed.conditions.push({ field, operator: operator || ':', value: stored || value.toLowerCase(), negate: negate === '-' });
+    }
+  }
+
+  return parsed;
+}
+
+// Prüft eine einzelne Bedingung der Suchanfrage
+function matchesCondition(task, { field, operator, value }) {
+  switch (field) {
+    case 'status':
+      return task.status.toLowerCase() === value.toLowerCase();
+    case 'prio':
+      return task.priority.toLowerCase() === value;
+    case 'tag':
+      return task.tags.some(tag => tag.toLowerCase() === value);
+    case 'due': {
+      const due = task.dueDate.slice(0, 10);
+      if (!value || isNone(value)) {
+        return due === '';
+      }
+      if (!due) {
+        return false;
+      }
+      return operator === '<' ? due < value :
+        operator === '<=' ? due <= value :
+        operator === '>' ? due > value :
+        operator === '>=' ? due >= value :
+        due === value;
+    }
+    default:
+      return true;
+  }
+}
+
+// Prüft, ob eine Aufgabe alle Bedingungen der Suchanfrage erfüllt
+function matchesQuery(task, parsed) {
+  const text = `${task.title}\n${task.notes || ''}`.toLowerCase();
+  return parsed.text.every(term => text.includes(term)) &&
+    parsed.conditions.every(condition => matchesCondition(task, condition) !== condition.negate);
+}
+
+// Vergleicht zwei Aufgaben nach den Sortierschlüsseln der Suchanfrage
+function compareTasks(a, b, sort) {
+  for (const { key, descending } of sort) {
+    let result = 0;
+    if (key === 'due') {
+      // Aufgaben ohne Fälligkeit immer ans Ende
+      if (!a.dueDate || !b.dueDate) {
+        result = (a.dueDate ? 0 : 1) - (b.dueDate ? 0 : 1);
+        if (result !== 0) {
+          return result;
+        }
+        continue;
+      }
+      result = a.dueDate.localeCompare(b.dueDate);
+    } else if (key === 'prio') {
+      // Absteigend nach Priorität heißt: hoch zuerst
+      result = (PRIORITY_RANK[b.priority] ?? 1) - (PRIORITY_RANK[a.priority] ?? 1);
+    } else if (key === 'title') {
+      result = a.title.localeCompare(b.title, 'de');
+    } else if (key === 'status') {
+      // In der Reihenfolge des Status-Ablaufs
+      result = statusIndex(a.status) - statusIndex(b.status);
+    }
+
+    if (result !== 0) {
+      return descending ? -result : result;
+    }
+  }
+  return 0;
+}
+
+// Index der Elternaufgabe (-1 für Aufgaben ohne gültige Elternaufgabe)
+function getParentIndex(taskList, index) {
+  const parent = taskList[index].parent;
+  return parent && parent !== taskList[index].id
+    ? taskList.findIndex(task => task.id === parent)
+    : -1;
+}
+
+// Kinder-Indizes je Eltern-ID - Aufgaben ohne gültige Elternaufgabe hängen an der Wurzel ''
+function buildChildMap(taskList) {
+  const children = new Map();
+  taskList.forEach((task, index) => {
+    const parentIndex = getParentIndex(taskList, index);
+    const key = parentIndex === -1 ? '' : taskList[parentIndex].id;
+    if (!children.has(key)) {
+      children.set(key, []);
+    }
+    children.get(key).push(index);
+  });
+  return children;
+}
+
+// Indizes aller Unteraufgaben (rekursiv)
+function getDescendantIndices(taskList, index) {
+  const children = buildChildMap(taskList);
+  const result = [];
+  const visit = (id) => {
+    for (const child of children.get(id) || []) {
+      if (child !== index && !result.includes(child)) {
+        result.push(child);
+        visit(taskList[child].id);
+      }
+    }
+  };
+  visit(taskList[index].id);
+  return result;
+}
+
+// Indizes der Aufgaben mit derselben Elternaufgabe (inklusive der Aufgabe selbst)
+function getSiblingIndices(taskList, index) {
+  const parentIndex = getParentIndex(taskList, index);
+  return buildChildMap(taskList).get(parentIndex === -1 ? '' : taskList[parentIndex].id) || [];
+}
+
+// Verschachtelungstiefe einer Aufgabe (0 = oberste Ebene)
+function getTaskDepth(taskList, index) {
+  let depth = 0;
+  let current = getParentIndex(taskList, index);
+  while (current !== -1 && depth < taskList.length) {
+    depth++;
+    current = getParentIndex(taskList, current);
+  }
+  return depth;
+}
+
+// Fortschritt der direkten Unteraufgaben, z.B. { done: 3, total: 5 }
+function getSubtaskProgress(taskList, index) {
+  const children = buildChildMap(taskList).get(taskList[index].id) || [];
+  return {
+    done: children.filter(child => isDone(taskList[child])).length,
+    total: children.length,
+  };
+}
+
+// IDs der Aufgaben, auf die eine Aufgabe wartet (Spalte blockedBy, komma-getrennt)
+function getBlockerIds(task) {
+  return (task.blockedBy || '').split(',').map(id => id.trim()).filter(id => id.length > 0);
+}
+
+// Indizes der noch offenen Aufgaben, auf die eine Aufgabe wartet.
+// Erledigte und nicht mehr vorhandene Aufgaben (z.B. in eine andere Liste verschoben) blockieren nicht.
+function getOpenBlockers(taskList, index) {
+  const ids = getBlockerIds(taskList[index]);
+  return taskList
+    .map((task, i) => (ids.includes(task.id) && !isDone(task) ? i : -1))
+    .filter(i => i !== -1);
+}
+
+// Offene Aufgabe, die noch auf eine andere wartet?
+function isBlocked(taskList, index) {
+  return !isDone(taskList[index]) && getOpenBlockers(taskList, index).length > 0;
+}
+
+// Indizes der Aufgaben, die auf eine Aufgabe warten
+function getDependentIndices(taskList, index) {
+  const id = taskList[index].id;
+  return taskList
+    .map((task, i) => (getBlockerIds(task).includes(id) ? i : -1))
+    .filter(i => i !== -1);
+}
+
+// Prüft, ob "taskId blockiert durch blockerIds" einen Zyklus ergäbe. Liefert die Titel
+// entlang des Zyklus (z.B. ["A", "B", "A"]) oder null.
+function findDependencyCycle(taskList, taskId, blockerIds) {
+  const byId = new Map(taskList.map(task => [task.id, task]));
+  const visited = new Set();
+  const visit = (id, chain) => {
+    if (id === taskId) {
+      return chain;
+    }
+    if (visited.has(id) || !byId.has(id)) {
+      return null;
+    }
+    visited.add(id);
+    for (const next of getBlockerIds(byId.get(id))) {
+      const cycle = visit(next, [...chain, next]);
+      if (cycle) {
+        return cycle;
+      }
+    }
+    return null;
+  };
+
+  for (const id of blockerIds) {
+    const cycle = visit(id, [taskId, id]);
+    if (cycle) {
+      return cycle.map(item => byId.get(item)?.title ?? item);
+    }
+  }
+  return null;
+}
+
+// Blockierende Aufgaben aus einer Eingabe wie "3, 5" lesen: IDs oder Nummern aus "numbered"
+// (Indizes in "tasks" in angezeigter Reihenfolge). "keine" leert die Angabe. Liefert den Wert
+// für blockedBy und wirft bei unbekannten Aufgaben oder Zyklen einen Fehler.
+function parseBlockers(text, taskId, numbered) {
+  if (isNone(text.trim())) {
+    return '';
+  }
+
+  const ids = [];
+  for (const ref of text.split(/[\s,]+/).filter(part => part.length > 0)) {
+    let index = tasks.findIndex(task => task.id === ref);
+    if (index === -1 && /^\d+$/.test(ref)) {
+      index = numbered[parseInt(ref) - 1] ?? -1;
+    }
+    if (index === -1) {
+      throw new Error(t('Aufgabe "{ref}" nicht gefunden', { ref }));
+    }
+    if (!ids.includes(tasks[index].id)) {
+      ids.push(tasks[index].id);
+    }
+  }
+
+  const cycle = findDependencyCycle(tasks, taskId, ids);
+  if (cycle) {
+    throw new Error(t('Zyklische Abhängigkeit: {cycle}', { cycle: cycle.join(' → ') }));
+  }
+  return ids.join(',');
+}
+
+// Indizes in Baumreihenfolge: jede Aufgabe gefolgt von ihren Unteraufgaben,
+// Geschwister nach den Sortierschlüsseln, sonst in Sheet-Reihenfolge
+function treeOrder(taskList, sort = []) {
+  const children = buildChildMap(taskList);
+  const sorted = indices => [...indices].sort((a, b) => compareTasks(taskList[a], taskList[b], sort) || a - b);
+  const result = [];
+  const visited = new Set();
+
+  const visit = (index) => {
+    if (visited.has(index)) {
+      return;
+    }
+    visited.add(index);
+    result.push(index);
+    sorted(children.get(taskList[index].id) || []).forEach(visit);
+  };
+
+  sorted(children.get('') || []).forEach(visit);
+  // Aufgaben in Eltern-Zyklen (z.B. nach fremden Änderungen im Sheet) nicht verlieren
+  taskList.forEach((task, index) => visit(index));
+  return result;
+}
+
+// Indizes (in "tasks") der Aufgaben, die zur Suchanfrage passen, in Anzeigereihenfolge
+function filterTasks(taskList, queryString) {
+  const parsed = parseQuery(queryString);
+  return treeOrder(taskList, parsed.sort)
+    .filter(index => matchesQuery(taskList[index], parsed));
+}
+
+// Prüft, ob eine Aufgabe unter einer eingeklappten Elternaufgabe liegt
+function isHiddenByCollapse(index) {
+  let current = getParentIndex(tasks, index);
+  for (let depth = 0; current !== -1 && depth < tasks.length; depth++) {
+    if (collapsed.includes(tasks[current].id)) {
+      return true;
+    }
+    current = getParentIndex(tasks, current);
+  }
+  return false;
+}
+
+// Aktuell sichtbare Aufgaben der Hauptansicht (Indizes in "tasks")
+function getVisibleTasks() {
+  return filterTasks(tasks, query)
+    .filter(index => !isHiddenByCollapse(index))
+    .filter(index => !hideBlocked || !isBlocked(tasks, index));
+}
+
+// Index (in "tasks") der in der gefilterten Ansicht markierten Aufgabe, -1 falls keine
+function getSelectedTaskIndex() {
+  return getVisibleTasks()[selectedIndex] ?? -1;
+}
+
+// Fälligkeitszustand einer offenen Aufgabe: 'overdue', 'today', 'soon' (morgen/übermorgen) oder ''.
+// Mit Uhrzeit gilt eine heute fällige Aufgabe ab dieser Uhrzeit als überfällig.
+function getDueState(task, now = new Date()) {
+  const due = parseIsoDate(task.dueDate);
+  if (!due || isDone(task)) {
+    return '';
+  }
+
+  const today = formatDate(now);
+  const dueDay = formatDate(due);
+  if (dueDay < today) {
+    return 'overdue';
+  }
+  if (dueDay === today) {
+    const time = task.dueDate.slice(11, 16);
+    return time && time < `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}` ? 'overdue' : 'today';
+  }
+  return dueDay <= formatDate(addDays(now, 2)) ? 'soon' : '';
+}
+
+// Offene Aufgaben für die Agenda gruppieren, jeweils nach Fälligkeit sortiert.
+// Liefert [{ label, indices }] in der Reihenfolge Überfällig, Heute, Morgen, Diese Woche, Später, Ohne Datum.
+function getAgendaGroups(taskList, now = new Date()) {
+  const today = formatDate(now);
+  const tomorrow = formatDate(addDays(now, 1));
+  // Die Woche endet am Sonntag
+  const endOfWeek = formatDate(addDays(now, (7 - now.getDay()) % 7));
+  const groups = [
+    { label: t('Überfällig'), indices: [] },
+    { label: t('Heute'), indices: [] },
+    { label: t('Morgen'), indices: [] },
+    { label: t('Diese Woche'), indices: [] },
+    { label: t('Später'), indices: [] },
+    { label: t('Ohne Datum'), indices: [] },
+  ];
+
+  const open = taskList
+    .map((task, index) => index)
+    .filter(index => !isDone(taskList[index]))
+    .sort((a, b) => taskList[a].dueDate.localeCompare(taskList[b].dueDate));
+
+  for (const index of open) {
+    const task = taskList[index];
+    const due = task.dueDate.slice(0, 10);
+    const group =
+      !due ? 5 :
+      getDueState(task, now) === 'overdue' ? 0 :
+      due === today ? 1 :
+      due === tomorrow ? 2 :
+      due <= endOfWeek ? 3 :
+      4;
+    groups[group].indices.push(index);
+  }
+
+  return groups;
+}
+
+// Anzahl der Tage im Tagesdiagramm der Statistik
+const STATS_DAYS = 14;
+
+// Kennzahlen für die Statistik. Grundlage sind createdAt und completedAt: Erledigte Aufgaben
+// ohne Zeitstempel fehlen in den Verläufen, im Burndown zählen Aufgaben ohne createdAt als
+// schon immer vorhanden, gelöschte Aufgaben fehlen ganz. Die Wochen beginnen am Montag.
+function getStats(taskList, weeks = 4, now = new Date()) {
+  const today = formatDate(now);
+  const done = taskList.filter(task => isDone(task));
+  const open = taskList.filter(task => !isDone(task));
+  const completedOn = task => (task.completedAt || '').slice(0, 10);
+
+  const perDay = [];
+  for (let offset = STATS_DAYS - 1; offset >= 0; offset--) {
+    const date = formatDate(addDays(now, -offset));
+    perDay.push({ date, count: done.filter(task => completedOn(task) === date).length });
+  }
+
+  const monday = addDays(now, -((now.getDay() + 6) % 7));
+  const perWeek = [];
+  for (let offset = weeks - 1; offset >= 0; offset--) {
+    const from = formatDate(addDays(monday, -7 * offset));
+    const to = formatDate(addDays(monday, -7 * offset + 6));
+    perWeek.push({ week: from, count: done.filter(task => completedOn(task) >= from && completedOn(task) <= to).length });
+  }
+
+  const countBy = keysOf => {
+    const counts = new Map();
+    for (const task of taskList) {
+      for (const key of keysOf(task)) {
+        const entry = counts.get(key) || { key, open: 0, done: 0 };
+        entry[isDone(task) ? 'done' : 'open']++;
+        counts.set(key, entry);
+      }
+    }
+    return [...counts.values()];
+  };
+  const byPriority = countBy(task => [task.priority])
+    .sort((a, b) => (PRIORITY_RANK[a.key] ?? 1) - (PRIORITY_RANK[b.key] ?? 1));
+  const byTag = countBy(task => task.tags)
+    .sort((a, b) => (b.open + b.done) - (a.open + a.done) || a.key.localeCompare(b.key));
+
+  // Dauer von der Erstellung bis zum Erledigen in Tagen
+  const durations = done
+    .filter(task => task.createdAt && task.completedAt)
+    .map(task => (new Date(task.completedAt.replace(' ', 'T')) - new Date(task.createdAt.replace(' ', 'T'))) / 86400000)
+    .filter(days => days >= 0);
+  const averageDays = durations.length > 0 ? durations.reduce((sum, days) => sum + days, 0) / durations.length : null;
+
+  // Verspätet ist eine Aufgabe, die nach ihrer Fälligkeit (ohne Uhrzeit: nach Ende des Tages) erledigt wurde
+  const withDue = done.filter(task => parseIsoDate(task.dueDate) && task.completedAt);
+  const late = withDue.filter(task => task.completedAt.slice(0, 16) > (task.dueDate.length > 10 ? task.dueDate : `${task.dueDate} 23:59`));
+  const burndown = [];
+  for (let offset = weeks; offset >= 0; offset--) {
+    const date = formatDate(addDays(now, -7 * offset));
+    burndown.push({
+      date,
+      open: taskList.filter(task => (task.createdAt || '').slice(0, 10) <= date
+        && (!isDone(task) || completedOn(task) > date)).length,
+    });
+  }
+
+  return {
+    weeks,
+    today,
+    perDay,
+    perWeek,
+    byPriority,
+    byTag,
+    averageDays,
+    measured: durations.length,
+    overdue: { count: open.filter(task => getDueState(task, now) === 'overdue').length, open: open.length },
+    late: { count: late.length, done: withDue.length },
+    burndown,
+  };
+}
+
+// Balken für die Diagramme der Statistik, auf "width" Zeichen beim Höchstwert skaliert
+function formatBar(value, max, width = 30) {
+  return '█'.repeat(max > 0 ? Math.round(value / max * width) : 0);
+}
+
+// Statistik als Textzeilen mit Balkendiagrammen (für die App und "tododos stats")
+function formatStats(stats) {
+  const shortDate = date => t('{day}.{month}.', { day: date.slice(8, 10), month: date.slice(5, 7) });
+  const weekday = date => {
+    const name = t(WEEKDAYS[parseIsoDate(date).getDay()]);
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  };
+  const number = value => value.toLocaleString(t('de-DE'), { maximumFractionDigits: 1 });
+  const percent = (count, total) => (total > 0 ? Math.round(count / total * 100) : 0);
+  const countChart = (entries, label) => {
+    const max = Math.max(...entries.map(entry => entry.count));
+    return entries.map(entry => `  ${label(entry).padEnd(14)} ${chalk.green(formatBar(entry.count, max))} ${entry.count}`);
+  };
+  const openDoneChart = entries => {
+    const max = Math.max(...entries.map(entry => entry.open + entry.done));
+    return entries.map(entry => `  ${entry.key.padEnd(14)} ${chalk.yellow(formatBar(entry.open, max, 20))}${chalk.green(formatBar(entry.done, max, 20))} ${
+      t('{open} offen / {done} erledigt', entry)}`);
+  };
+
+  const lines = [
+    chalk.bold(t('Erledigt pro Tag (letzte {days} Tage)', { days: stats.perDay.length })),
+    ...countChart(stats.perDay, entry => `${weekday(entry.date)} ${shortDate(entry.date)}`),
+    '',
+    chalk.bold(t('Erledigt pro Woche')),
+    ...countChart(stats.perWeek, entry => t('ab {date}', { date: shortDate(entry.week) })),
+    '',
+    chalk.bold(t('Nach Priorität')),
+    ...openDoneChart(stats.byPriority.map(entry => ({ ...entry, key: priorityLabel(entry.key) }))),
+  ];
+  if (stats.byTag.length > 0) {
+    lines.push('', chalk.bold(t('Nach Schlagwort')), ...openDoneChart(stats.byTag.slice(0, 10)));
+    if (stats.byTag.length > 10) {
+      lines.push(chalk.dim(t('  ... und {count} weitere Tags', { count: stats.byTag.length - 10 })));
+    }
+  }
+
+  lines.push(
+    '',
+    stats.averageDays === null
+      ? t('Ø Dauer bis erledigt: - (keine Aufgaben mit Zeitstempeln)')
+      : t('Ø Dauer bis erledigt: {days} Tage ({count} Aufgaben)', { days: number(stats.averageDays), count: stats.measured }),
+    t('Überfällig: {count} von {open} offenen Aufgaben ({percent} %)', {
+      ...stats.overdue,
+      percent: percent(stats.overdue.count, stats.overdue.open),
+    }),
+    t('Verspätet erledigt: {count} von {done} Aufgaben mit Fälligkeit ({percent} %)', {
+      ...stats.late,
+      percent: percent(stats.late.count, stats.late.done),
+    }),
+    '',
+    chalk.bold(t('Offene Aufgaben (letzte {weeks} Wochen)', { weeks: stats.weeks })),
+  );
+  const maxOpen = Math.max(...stats.burndown.map(point => point.open));
+  stats.burndown.forEach(point => {
+    const label = point.date === stats.today ? t('Heute') : shortDate(point.date);
+    lines.push(`  ${label.padEnd(14)} ${chalk.yellow(formatBar(point.open, maxOpen))} ${point.open}`);
+  });
+  return lines;
+}
+
+// Überfällige Aufgaben beim Start auflisten
+function showOverdueSummary() {
+  const overdue = tasks.filter(task => getDueState(task) === 'overdue');
+  const dueToday = tasks.filter(task => getDueState(task) === 'today').length;
+
+  if (overdue.length > 0) {
+    console.log(chalk.red(t('\n⚠ {count} überfällige Aufgaben:', { count: overdue.length })));
+    overdue.slice(0, 5).forEach(task => console.log(chalk.red(`   ${task.dueDate.padEnd(16)} ${task.title}`)));
+    if (overdue.length > 5) {
+      console.log(chalk.dim(t('   ... und {count} weitere ("agenda" zeigt alle)', { count: overdue.length - 5 })));
+    }
+  }
+  if (dueToday > 0) {
+    console.log(chalk.yellow(`${overdue.length > 0 ? '' : '\n'}${t('📅 {count} Aufgaben heute fällig', { count: dueToday })}`));
+  }
+}
+
+// Überfällige und heute fällige Aufgaben in einer Zeile für die Fußzeile der Tastatursteuerung
+function overdueStatusLine() {
+  const overdue = tasks.filter(task => getDueState(task) === 'overdue').length;
+  const dueToday = tasks.filter(task => getDueState(task) === 'today').length;
+  const parts = [];
+  if (overdue > 0) {
+    parts.push(chalk.red(t('⚠ {count} überfällige Aufgaben', { count: overdue })));
+  }
+  if (dueToday > 0) {
+    parts.push(chalk.yellow(t('📅 {count} Aufgaben heute fällig', { count: dueToday })));
+  }
+  return parts.length > 0 ? `${parts.join(', ')} ${chalk.dim(t('(o zeigt die Agenda)'))}` : '';
+}
+
+// Laufende Zeiterfassung (Sitzung ohne Ende) oder null
+function getRunningSession() {
+  return sessions.find(session => !session.end) || null;
+}
+
+// Dauer einer Sitzung in Millisekunden, eine laufende Sitzung zählt bis jetzt
+function sessionDuration(session, now = new Date()) {
+  const start = new Date(session.start.replace(' ', 'T'));
+  const end = session.end ? new Date(session.end.replace(' ', 'T')) : now;
+  return Math.max(0, end - start) || 0;
+}
+
+// Minuten als Stunden und Minuten, z.B. "1:05 h"
+function formatMinutes(minutes) {
+  return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')} h`;
+}
+
+// Erfasste Zeit einer Aufgabe: Minuten, Anzahl der Sitzungen und ob gerade erfasst wird
+function getTrackedTime(taskId, now = new Date()) {
+  const taskSessions = sessions.filter(session => session.taskId === taskId);
+  return {
+    minutes: Math.floor(taskSessions.reduce((sum, session) => sum + sessionDuration(session, now), 0) / 60000),
+    count: taskSessions.length,
+    running: taskSessions.some(session => !session.end),
+  };
+}
+
+// Lokal geänderte Sitzungen in den Speicher schreiben und danach alle Sitzungen neu lesen,
+// damit z.B. ein auf der Kommandozeile gestarteter Timer ankommt. Ohne Verbindung bleiben
+// die Änderungen im Cache und werden beim nächsten Laden übertragen.
+async function syncSessions() {
+  if (!storage) {
+    return false;
+  }
+  try {
+    if (unsavedSessions.length > 0) {
+      await storage.saveSessions(sessions.filter(session => unsavedSessions.includes(session.id)));
+      unsavedSessions = [];
+    }
+    sessions = await storage.readSessions();
+    return true;
+  } catch (error) {
+    console.error(chalk.red(t('✗ Fehler beim Speichern der Zeiterfassung:')));
+    console.error(chalk.dim(`   ${error.message}`));
+    return false;
+  } finally {
+    writeSessionCache();
+  }
+}
+
+// Neue oder geänderte Sitzungen übernehmen und speichern (false, wenn nur im Cache)
+async function storeSessions(changed) {
+  for (const session of changed) {
+    const index = sessions.findIndex(item => item.id === session.id);
+    if (index === -1) {
+      sessions.push(session);
+    } else {
+      sessions[index] = session;
+    }
+    if (!unsavedSessions.includes(session.id)) {
+      unsavedSessions.push(session.id);
+    }
+  }
+  return syncSessions();
+}
+
+// Zeiterfassung für eine Aufgabe starten. Es läuft immer nur ein Timer: ein laufender wird
+// vorher beendet. Liefert { session, stopped, saved } bzw. null, wenn der Timer schon läuft.
+async function startTimer(index) {
+  const task = tasks[index];
+  const running = getRunningSession();
+  if (running?.taskId === task.id) {
+    logStatus(chalk.yellow(t('⏱ Zeiterfassung für "{title}" läuft bereits seit {start}', { title: task.title, start: running.start })));
+    return null;
+  }
+
+  const now = formatTimestamp();
+  const stopped = running ? { ...running, end: now } : null;
+  const session = { id: newTaskId(), taskId: task.id, list: currentList, title: task.title, start: now, end: '' };
+  const saved = await storeSessions(stopped ? [stopped, session] : [session]);
+
+  if (stopped) {
+    logStatus(chalk.green(t('⏹ Zeiterfassung für "{title}" beendet ({duration})', {
+      title: stopped.title,
+      duration: formatMinutes(Math.floor(sessionDuration(stopped) / 60000)),
+    })));
+  }
+  logStatus(chalk.green(t('⏱ Zeiterfassung für "{title}" gestartet', { title: task.title })));
+  return { session, stopped, saved };
+}
+
+// Laufende Zeiterfassung beenden. Liefert { session, saved } bzw. null ohne laufenden Timer.
+async function stopTimer() {
+  const running = getRunningSession();
+  if (!running) {
+    logStatus(chalk.yellow(t('Keine laufende Zeiterfassung')));
+    return null;
+  }
+
+  const session = { ...running, end: formatTimestamp() };
+  const saved = await storeSessions([session]);
+  logStatus(chalk.green(t('⏹ Zeiterfassung für "{title}" beendet ({duration})', {
+    title: session.title,
+    duration: formatMinutes(Math.floor(sessionDuration(session) / 60000)),
+  })));
+  return { session, saved };
+}
+
+// Zeitraum für den Stundenzettel lesen: "woche", "monat", "letzte woche", "letzter monat"
+// oder "<von> bis <bis>" mit Datumsangaben wie bei Fälligkeiten. Ohne Angabe gilt der
+// laufende Monat, ohne Ende bis heute. Liefert { from, to } als YYYY-MM-DD oder null.
+function parseTimesheetRange(text = '', now = new Date()) {
+  const input = text.trim().toLowerCase().replace(/\s+/g, ' ');
+  const monday = addDays(now, -((now.getDay() + 6) % 7));
+  const presets = [
+    [['', 'monat', 'month', 'dieser monat', 'this month'], new Date(now.getFullYear(), now.getMonth(), 1), now],
+    [['woche', 'week', 'diese woche', 'this week'], monday, now],
+    [['letzte woche', 'last week'], addDays(monday, -7), addDays(monday, -1)],
+    [['letzter monat', 'last month'], new Date(now.getFullYear(), now.getMonth() - 1, 1), new Date(now.getFullYear(), now.getMonth(), 0)],
+  ];
+  const preset = presets.find(([names]) => names.includes(input));
+  if (preset) {
+    return { from: formatDate(preset[1]), to: formatDate(preset[2]) };
+  }
+
+  const [fromText, toText] = input.split(/ (?:bis|to|-) /);
+  const from = parseDueDate(fromText, now)?.slice(0, 10);
+  const to = toText === undefined ? formatDate(now) : parseDueDate(toText, now)?.slice(0, 10);
+  return from && to && from <= to ? { from, to } : null;
+}
+
+// Erfasste Zeit der aktuellen Liste im Zeitraum, summiert nach Aufgabe, Schlagwort und Datum.
+// Sitzungen zählen zum Datum ihres Beginns. Sitzungen gelöschter Aufgaben werden über
+// den Listennamen zugeordnet und erscheinen mit dem Titel beim Start.
+function getTimesheet({ from, to }, now = new Date()) {
+  const entries = sessions
+    .filter(session => session.start.slice(0, 10) >= from && session.start.slice(0, 10) <= to)
+    .map(session => ({ session, task: tasks.find(task => task.id === session.taskId) }))
+    .filter(({ session, task }) => task || session.list === currentList);
+
+  const sumBy = (keysOf, nameOf = key => key) => {
+    const sums = new Map();
+    for (const entry of entries) {
+      for (const key of keysOf(entry)) {
+        const sum = sums.get(key) || { name: nameOf(key, entry), duration: 0 };
+        sum.duration += sessionDuration(entry.session, now);
+        sums.set(key, sum);
+      }
+    }
+    return [...sums.values()].map(({ name, duration }) => ({ name, minutes: Math.round(duration / 60000) }));
+  };
+  const byMinutes = (a, b) => b.minutes - a.minutes || a.name.localeCompare(b.name);
+
+  return {
+    list: currentList,
+    from,
+    to,
+    byTask: sumBy(({ session }) => [session.taskId], (key, { session, task }) => (task ? task.title : session.title)).sort(byMinutes),
+    // Aufgaben ohne Tag unter leerem Namen
+    byTag: sumBy(({ task }) => (task?.tags.length > 0 ? task.tags : [''])).sort(byMinutes),
+    byDay: sumBy(({ session }) => [session.start.slice(0, 10)]).sort((a, b) => a.name.localeCompare(b.name)),
+    total: Math.round(entries.reduce((sum, { session }) => sum + sessionDuration(session, now), 0) / 60000),
+    sessions: entries.length,
+  };
+}
+
+// Stundenzettel als Textzeilen (für die App und "tododos timesheet")
+function formatTimesheet(sheet) {
+  if (sheet.sessions === 0) {
+    return [chalk.dim(t('  Keine erfasste Zeit im Zeitraum'))];
+  }
+
+  const weekday = date => {
+    const name = t(WEEKDAYS[parseIsoDate(date).getDay()]);
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  };
+  const rows = (entries, label = entry => entry.name) => entries.map(entry => {
+    const text = label(entry);
+    const name = text.length > 40 ? `${text.substring(0, 37)}...` : text;
+    return `  ${name.padEnd(40)} ${formatMinutes(entry.minutes).padStart(9)}`;
+  });
+
+  return [
+    chalk.bold(t('Nach Aufgabe')),
+    ...rows(sheet.byTask),
+    '',
+    chalk.bold(t('Nach Schlagwort')),
+    ...rows(sheet.byTag, entry => entry.name || t('(ohne Tag)')),
+    '',
+    chalk.bold(t('Nach Datum')),
+    ...rows(sheet.byDay, entry => `${weekday(entry.name)} ${entry.name}`),
+    '',
+    chalk.bold(t('Gesamt: {duration} ({count} Sitzungen)', { duration: formatMinutes(sheet.total), count: sheet.sessions })),
+  ];
+}
+
+// Stundenzettel als CSV: je Zeile Gruppe (task, tag, day, total), Name, Minuten und Stunden
+function serializeTimesheet(sheet) {
+  const row = (group, name, minutes) => [group, name, minutes, (minutes / 60).toFixed(2)].map(csvField).join(',');
+  return [
+    'group,name,minutes,hours',
+    ...sheet.byTask.map(entry => row('task', entry.name, entry.minutes)),
+    ...sheet.byTag.map(entry => row('tag', entry.name, entry.minutes)),
+    ...sheet.byDay.map(entry => row('day', entry.name, entry.minutes)),
+    row('total', '', sheet.total),
+  ].join('\n') + '\n';
+}
+
+// Formate für Import und Export (mit Kurzformen)
+const TRANSFER_FORMATS = {
+  csv: 'csv',
+  json: 'json',
+  md: 'markdown',
+  markdown: 'markdown',
+  todo: 'todotxt',
+  todotxt: 'todotxt',
+  'todo.txt': 'todotxt',
+  ics: 'ics',
+  ical: 'ics',
+};
+
+// Spalten beim CSV-Export
+const CSV_COLUMNS = ['title', 'status', 'priority', 'dueDate', 'tags', 'recur', 'id', 'parent', 'blockedBy', 'notes', 'createdAt', 'completedAt'];
+
+// Prioritäten im todo.txt-Format ((A) hoch, (C) niedrig, ohne Angabe normal)
+const TODOTXT_PRIORITIES = { hoch: 'A', niedrig: 'C' };
+
+// Feld für CSV maskieren
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV in Zeilen zerlegen (Anführungszeichen nach RFC 4180, Trennzeichen "," oder ";")
+function parseCsv(text) {
+  const firstLine = text.split('\n')[0];
+  const separator = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// Aufgaben in ein Austauschformat umwandeln
+function serializeTasks(format, taskList) {
+  switch (format) {
+    case 'csv':
+      return [
+        CSV_COLUMNS.join(','),
+        ...taskList.map(task => CSV_COLUMNS.map(column => csvField(column === 'tags' ? task.tags.join(',') : task[column])).join(',')),
+      ].join('\n') + '\n';
+    case 'json':
+      return JSON.stringify(taskList.map(snapshotTask), null, 2) + '\n';
+    case 'markdown':
+      // Checkliste im Stil der Obsidian-Tasks (⏫/🔽 Priorität, 📅 Fälligkeit, 🔁 Wiederholung),
+      // Unteraufgaben eingerückt
+      return treeOrder(taskList).map(index => {
+        const task = taskList[index];
+        const parts = [`${'  '.repeat(getTaskDepth(taskList, index))}- [${isDone(task) ? 'x' : ' '}] ${task.title}`];
+        if (task.priority === 'hoch') {
+          parts.push('⏫');
+        } else if (task.priority === 'niedrig') {
+          parts.push('🔽');
+        }
+        if (task.dueDate) {
+          parts.push(`📅 ${task.dueDate}`);
+        }
+        if (task.recur) {
+          parts.push(`🔁 ${task.recur}`);
+        }
+        if (task.createdAt) {
+          parts.push(`➕ ${task.createdAt.slice(0, 10)}`);
+        }
+        if (task.completedAt) {
+          parts.push(`✅ ${task.completedAt.slice(0, 10)}`);
+        }
+        parts.push(...task.tags.map(tag => `#${tag.replace(/\s+/g, '-')}`));
+        // Notizen als eingerückte Zeilen unter der Aufgabe
+        const notesIndent = '  '.repeat(getTaskDepth(taskList, index) + 1);
+        const notes = (task.notes || '').split('\n').filter(line => line.trim()).map(line => `${notesIndent}${line}`);
+        return [parts.join(' '), ...notes].join('\n');
+      }).join('\n') + '\n';
+    case 'todotxt':
+      return taskList.map(task => {
+        const parts = [];
+        if (isDone(task)) {
+          parts.push('x');
+          // Erstellungsdatum ist nur zusammen mit dem Abschlussdatum erlaubt
+          if (task.completedAt) {
+            parts.push(task.completedAt.slice(0, 10));
+          }
+        } else if (TODOTXT_PRIORITIES[task.priority]) {
+          parts.push(`(${TODOTXT_PRIORITIES[task.priority]})`);
+        }
+        if (task.createdAt && (!isDone(task) || task.completedAt)) {
+          parts.push(task.createdAt.slice(0, 10));
+        }
+        parts.push(task.title);
+        parts.push(...task.tags.map(tag => `+${tag.replace(/\s+/g, '-')}`));
+        if (task.dueDate) {
+          parts.push(`due:${task.dueDate.slice(0, 10)}`);
+        }
+        if (task.recur) {
+          parts.push(`rec:${task.recur}`);
+        }
+        // Bei erledigten Aufgaben bleibt die Priorität als pri:-Schlüssel erhalten
+        if (isDone(task) && TODOTXT_PRIORITIES[task.priority]) {
+          parts.push(`pri:${TODOTXT_PRIORITIES[task.priority]}`);
+        }
+        return parts.join(' ');
+      }).join('\n') + '\n';
+    case 'ics':
+      return serializeIcs(taskList);
+    default:
+      throw new Error(t('Unbekanntes Format "{format}"', { format }));
+  }
+}
+
+// Prioritäten in iCalendar (1 = höchste, 9 = niedrigste)
+const ICS_PRIORITIES = { hoch: 1, normal: 5, niedrig: 9 };
+
+// Text für iCalendar maskieren
+function icsText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+}
+
+// Zeile nach RFC 5545 auf höchstens 75 Bytes umbrechen (Folgezeilen beginnen mit Leerzeichen)
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Fälligkeit als iCalendar-Datum, mit Uhrzeit als lokale ("floating") Zeit
+function icsDate(dueDate, withTime = true) {
+  const date = dueDate.slice(0, 10).replace(/-/g, '');
+  const time = dueDate.slice(11, 16).replace(':', '');
+  return withTime && time ? `:${date}T${time}00` : `;VALUE=DATE:${date}`;
+}
+
+// Aufgaben mit Fälligkeit als iCalendar-Datei. Je nach config.icsType als VTODO (Standard)
+// oder als ganztägiger VEVENT. Die UID leitet sich aus der Aufgaben-ID ab, damit Kalender
+// beim erneuten Einlesen bestehende Einträge aktualisieren.
+function serializeIcs(taskList) {
+  const asEvents = config.icsType === 'event';
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TodoDOS//TodoDOS//DE',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${icsText(`TodoDOS - ${currentList}`)}`,
+  ];
+
+  for (const task of taskList.filter(t => parseIsoDate(t.dueDate))) {
+    const done = isDone(task);
+    lines.push(asEvents ? 'BEGIN:VEVENT' : 'BEGIN:VTODO');
+    lines.push(`UID:${task.id}@tododos`);
+    lines.push(`DTSTAMP:${stamp}`);
+    if (asEvents) {
+      // Ganztägig: Ende ist der Folgetag (exklusiv)
+      lines.push(`DTSTART${icsDate(task.dueDate, false)}`);
+      lines.push(`DTEND${icsDate(formatDate(addDays(parseIsoDate(task.dueDate), 1)), false)}`);
+      lines.push(`SUMMARY:${icsText(`${done ? '✓ ' : ''}${task.title}`)}`);
+      lines.push('TRANSP:TRANSPARENT');
+    } else {
+      lines.push(`DUE${icsDate(task.dueDate)}`);
+      lines.push(`SUMMARY:${icsText(task.title)}`);
+      lines.push(`STATUS:${done ? 'COMPLETED' : statusIndex(task.status) > 0 ? 'IN-PROCESS' : 'NEEDS-ACTION'}`);
+      if (done) {
+        lines.push('PERCENT-COMPLETE:100');
+      }
+    }
+    lines.push(`PRIORITY:${ICS_PRIORITIES[task.priority] || ICS_PRIORITIES.normal}`);
+    if (task.tags.length > 0) {
+      lines.push(`CATEGORIES:${task.tags.map(icsText).join(',')}`);
+    }
+    if (task.notes) {
+      lines.push(`DESCRIPTION:${icsText(task.notes)}`);
+    }
+    if (task.parent) {
+      lines.push(`RELATED-TO:${task.parent}@tododos`);
+    }
+    lines.push(asEvents ? 'END:VEVENT' : 'END:VTODO');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// iCalendar-Datei nach jedem Speichern aktualisieren, wenn "ics" konfiguriert ist.
+// "{list}" im Pfad wird durch den Listennamen ersetzt.
+function writeIcsFeed() {
+  if (!config.icsPath) {
+    return;
+  }
+  const filePath = config.icsPath.replace('{list}', currentList);
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, serializeIcs(tasks));
+  } catch (error) {
+    console.error(chalk.yellow(t('⚠ Kalenderdatei {path} konnte nicht geschrieben werden: {error}', { path: filePath, error: error.message })));
+  }
+}
+
+// Zeitstempel aus einer Importdatei lesen ('' bei ungültigem Wert)
+function normalizeTimestamp(value) {
+  const text = String(value || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}(:\d{2})?)?$/.test(text)) {
+    return text;
+  }
+  const date = new Date(text);
+  return text && !Number.isNaN(date.getTime()) ? formatTimestamp(date) : '';
+}
+
+// Eingelesene Aufgabe auf gültige Werte bringen
+function normalizeImportedTask(raw) {
+  const status = String(raw.status || '').trim().toLowerCase();
+  const tags = Array.isArray(raw.tags) ? raw.tags : String(raw.tags || '').split(',');
+  const recurRule = parseRecurrence(raw.recur);
+
+  return {
+    title: String(raw.title || '').trim(),
+    status: parseStatus(status) || (status === 'x' ? doneStatus() : initialStatus()),
+    priority: parsePriority(raw.priority) || 'normal',
+    dueDate: raw.dueDate ? parseDueDate(String(raw.dueDate)) || '' : '',
+    tags: tags.map(tag => String(tag).trim()).filter(tag => tag.length > 0),
+    recur: recurRule ? formatRecurrence(recurRule) : '',
+    id: String(raw.id || ''),
+    parent: String(raw.parent || ''),
+    blockedBy: (Array.isArray(raw.blockedBy) ? raw.blockedBy.join(',') : String(raw.blockedBy || '')).replace(/\s+/g, ''),
+    notes: String(raw.notes || '').replace(/\r\n/g, '\n').trim(),
+    createdAt: normalizeTimestamp(raw.createdAt),
+    completedAt: normalizeTimestamp(raw.completedAt),
+  };
+}
+
+// Aufgaben aus einem Austauschformat lesen. id, parent und blockedBy beziehen sich auf die Datei
+// und werden erst beim Import auf neue IDs abgebildet.
+function parseTasks(format, text) {
+  let rawTasks;
+
+  switch (format) {
+    case 'csv': {
+      const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+      const columns = header.map(column => column.trim());
+      if (!columns.includes('title')) {
+        throw new Error(t('CSV braucht eine Spalte "title"'));
+      }
+      rawTasks = rows.map(cells => Object.fromEntries(columns.map((column, i) => [column, cells[i] || ''])));
+      break;
+    }
+    case 'json': {
+      const data = JSON.parse(text);
+      rawTasks = Array.isArray(data) ? data : data.tasks;
+      if (!Array.isArray(rawTasks)) {
+        throw new Error(t('JSON muss eine Liste von Aufgaben enthalten'));
+      }
+      break;
+    }
+    case 'markdown': {
+      // Einrückung bestimmt die Elternaufgabe, eingerückter Text ohne Checkbox wird zur Notiz
+      const stack = [];
+      rawTasks = [];
+      text.split('\n').forEach((line, lineIndex) => {
+        const match = line.match(/^(\s*)[-*+] \[([ xX])\] (.*)$/);
+        const lineIndent = line.match(/^\s*/)[0].replace(/\t/g, '  ').length;
+        if (!match) {
+          const last = rawTasks[rawTasks.length - 1];
+          if (last && line.trim() && lineIndent > stack[stack.length - 1].indent) {
+            last.notes = last.notes ? `${last.notes}\n${line.trim()}` : line.trim();
+          }
+          return;
+        }
+        const indent = lineIndent;
+        while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+          stack.pop();
+        }
+        let rest = match[3];
+        const take = (pattern) => {
+          const found = rest.match(pattern);
+          rest = found ? rest.replace(pattern, ' ') : rest;
+          return found;
+        };
+        const due = take(/📅\s*(\d{4}-\d{2}-\d{2}(?: \d{2}:\d{2})?)/);
+        const recur = take(/🔁\s*(\S+)/);
+        const created = take(/➕\s*(\d{4}-\d{2}-\d{2})/);
+        const completed = take(/✅\s*(\d{4}-\d{2}-\d{2})/);
+        const priority = take(/⏫|🔺/) ? 'hoch' : take(/🔽|⏬/) ? 'niedrig' : 'normal';
+        take(/🔼/);
+        const tags = [];
+        let tag;
+        while ((tag = take(/(?:^|\s)#([^\s#]+)/))) {
+          tags.push(tag[1]);
+        }
+        const id = `zeile-${lineIndex}`;
+        rawTasks.push({
+          title: rest.replace(/\s+/g, ' '),
+          status: match[2].trim() ? 'erledigt' : 'offen',
+          priority,
+          dueDate: due ? due[1] : '',
+          tags,
+          recur: recur ? recur[1] : '',
+          createdAt: created ? created[1] : '',
+          completedAt: completed ? completed[1] : '',
+          id,
+          parent: stack.length > 0 ? stack[stack.length - 1].id : '',
+        });
+        stack.push({ indent, id });
+      });
+      break;
+    }
+    case 'ics':
+      throw new Error(t('iCalendar wird nur exportiert'));
+    case 'todotxt':
+      rawTasks = text.split('\n').filter(line => line.trim()).map(line => {
+        const words = line.trim().split(/\s+/);
+        const task = { status: 'offen', priority: 'normal', tags: [], title: '' };
+        if (words[0] === 'x') {
+          task.status = 'erledigt';
+          words.shift();
+        }
+        const priority = (words[0] || '').match(/^\(([A-Z])\)$/);
+        if (priority) {
+          task.priority = priority[1] === 'A' ? 'hoch' : priority[1] === 'B' ? 'normal' : 'niedrig';
+          words.shift();
+        }
+        // Abschlussdatum (nur bei erledigten Aufgaben) und Erstellungsdatum
+        if (task.status === 'erledigt' && /^\d{4}-\d{2}-\d{2}$/.test(words[0] || '')) {
+          task.completedAt = words.shift();
+        }
+        if (/^\d{4}-\d{2}-\d{2}$/.test(words[0] || '')) {
+          task.createdAt = words.shift();
+        }
+        const title = [];
+        for (const word of words) {
+          const keyValue = word.match(/^([a-z]+):(\S+)$/i);
+          if (/^[+@]\S+$/.test(word)) {
+            task.tags.push(word.slice(1));
+          } else if (keyValue && keyValue[1] === 'due') {
+            task.dueDate = keyValue[2];
+          } else if (keyValue && keyValue[1] === 'rec') {
+            task.recur = keyValue[2];
+          } else if (keyValue && keyValue[1] === 'pri') {
+            task.priority = keyValue[2] === 'A' ? 'hoch' : keyValue[2] === 'B' ? 'normal' : 'niedrig';
+          } else {
+            title.push(word);
+          }
+        }
+        task.title = title.join(' ');
+        return task;
+      });
+      break;
+    default:
+      throw new Error(t('Unbekanntes Format "{format}"', { format }));
+  }
+
+  return rawTasks.map(normalizeImportedTask).filter(task => task.title.length > 0);
+}
+
+// Duplikate beim Import finden: gleicher Titel (ohne Groß-/Kleinschreibung) und gleiche
+// Fälligkeit wie eine vorhandene oder weiter oben importierte Aufgabe. Liefert die Indizes.
+function findImportDuplicates(imported, existing) {
+  const key = task => `${task.title.trim().toLowerCase()}|${task.dueDate}`;
+  const seen = new Set(existing.map(key));
+  const duplicates = new Set();
+  imported.forEach((task, index) => {
+    if (seen.has(key(task))) {
+      duplicates.add(index);
+    }
+    seen.add(key(task));
+  });
+  return duplicates;
+}
+
+// Eingelesene Aufgaben in die aktuelle Liste übernehmen (ein Schritt im Verlauf).
+// Unteraufgaben übersprungener Duplikate hängen an der vorhandenen Aufgabe.
+function importTasks(imported, skip = new Set()) {
+  const idMap = new Map();
+  const insertedTasks = [];
+  let added = 0;
+
+  recordBatch(t('Import von {count} Aufgaben', { count: imported.length }), () => {
+    imported.forEach((task, index) => {
+      if (skip.has(index)) {
+        const existing = tasks.find(other => other.title.trim().toLowerCase() === task.title.toLowerCase() && other.dueDate === task.dueDate);
+        if (existing && task.id) {
+          idMap.set(task.id, existing.id);
+        }
+        return;
+      }
+      const inserted = addTask(task.title, task.priority, task.dueDate, task.tags, {
+        status: task.status,
+        recur: task.recur,
+        notes: task.notes,
+        createdAt: task.createdAt,
+        completedAt: task.completedAt,
+      });
+      if (task.id) {
+        idMap.set(task.id, inserted.id);
+      }
+      insertedTasks.push([inserted, task]);
+      added++;
+    });
+
+    // Elternaufgaben und Abhängigkeiten erst zuordnen, wenn alle Aufgaben eine neue ID haben -
+    // sie dürfen auch weiter unten in der Datei stehen. Unbekannte Verweise und solche,
+    // die einen Zyklus ergäben, entfallen.
+    for (const [inserted, { parent, blockedBy }] of insertedTasks) {
+      const index = tasks.indexOf(inserted);
+      const updates = {};
+      const parentId = idMap.get(parent);
+      if (parentId && parentId !== inserted.id && !getDescendantIndices(tasks, index).some(i => tasks[i].id === parentId)) {
+        updates.parent = parentId;
+      }
+      const ids = getBlockerIds({ blockedBy })
+        .map(id => idMap.get(id))
+        .filter(id => id && !findDependencyCycle(tasks, inserted.id, [id]));
+      if (ids.length > 0) {
+        updates.blockedBy = [...new Set(ids)].join(',');
+      }
+      if (Object.keys(updates).length > 0) {
+        editTask(index, updates);
+      }
+    }
+  });
+
+  return { added, skipped: skip.size };
+}
+
+// Hilfefunktion anzeigen
+function showHelp() {
+  console.clear();
+  // Abschnitte mit [Kommando, Beschreibung] - die Punkte bis zur Beschreibung werden aufgefüllt
+  const sections = [
+    [t('Tasten:'), [
+      ['↑↓ j/k', t('Auswahl bewegen (PgUp/PgDn seitenweise, Pos1/Ende bzw. g/G)')],
+      [t('Leertaste'), t('Erledigt umschalten')],
+      ['a / A', t('Aufgabe / Unteraufgabe hinzufügen')],
+      ['e / d', t('Bearbeiten / Löschen')],
+      ['n', t('Notizen bearbeiten')],
+      ['/ / Esc', t('Suchen / Filter löschen')],
+      ['B', t('Blockierte Aufgaben aus-/einblenden')],
+      ['u / U', t('Rückgängig / Wiederholen')],
+      ['Tab / > / <', t('Ein-/Ausklappen, Einrücken, Ausrücken')],
+      ['m / M / b', t('Markieren / Markierungen aufheben / Sammelaktion')],
+      ['Enter / o / H / S', t('Details, Agenda, Verlauf, Statistik')],
+      ['z / Z / T', t('Zeiterfassung starten / stoppen, Stundenzettel')],
+      ['+ / - / K', t('Status vor / zurück, Board (←→ Spalten, Esc zurück)')],
+      ['s / r', t('Speichern / Neu laden')],
+      [':', t('Kommando eingeben (alle Kommandos unten)')],
+      ['q', t('Beenden')],
+    ]],
+    ['Navigation:', [
+      ['up/k', t('Nach oben bewegen')],
+      ['down/j', t('Nach unten bewegen')],
+      ['home', t('Zum Anfang springen')],
+      ['end', t('Zum Ende springen')],
+    ]],
+    [t('Aktionen:'), [
+      ['add', t('Aufgabe hinzufügen')],
+      ['delete', t('Aufgabe löschen')],
+      ['edit', t('Aufgabe bearbeiten')],
+      ['note', t('Notizen bearbeiten (mehrzeilig)')],
+      ['toggle', t('Aufgabe als erledigt markieren')],
+      ['forward/+', t('Status einen Schritt weiter')],
+      ['back/-', t('Status einen Schritt zurück')],
+      [t('status [name]'), t('Status-Ablauf zeigen bzw. Status direkt setzen')],
+      ['search [filter]', t('Suchen und filtern')],
+      ['clear', t('Filter löschen')],
+      ['blocked', t('Blockierte Aufgaben aus-/einblenden')],
+      ['save', t('Speichern')],
+      ['reload', t('Neu laden')],
+      [t('move <liste>'), t('Aufgabe in andere Liste verschieben')],
+      ['mark [3-9|all]', t('Aufgaben markieren ("none" hebt auf, unmark entfernt)')],
+      [t('bulk <aktion>'), t('Sammelaktion für markierte Aufgaben (done, open, toggle,\nstatus <s>, delete, prio, due, shift +3d, tag +a -b, move <liste>)')],
+      [t('sub [titel]'), t('Unteraufgabe hinzufügen')],
+      ['indent/>', t('Unter die vorherige Aufgabe einrücken')],
+      ['outdent/<', t('Eine Ebene ausrücken')],
+      ['fold', t('Unteraufgaben ein-/ausklappen')],
+      ['collapse/expand', t('Einklappen/Aufklappen ("all" für alle)')],
+      ['undo/u', t('Letzte Änderung rückgängig machen')],
+      ['redo', t('Rückgängig gemachte Änderung wiederholen')],
+      ['history', t('Verlauf der Änderungen anzeigen')],
+      [t('export <f> <datei>'), t('Exportieren (csv, json, md, todo.txt, ics)')],
+      [t('import <f> <datei>'), t('Importieren mit Vorschau und Duplikatprüfung')],
+    ]],
+    ['Filter:', [
+      [t('status:offen prio:hoch tag:ops due<2026-11-01 due:keine "text"')],
+      ['-tag:ops', t('Verneinung')],
+      ['sort:due,-prio', t('Sortierung (due, prio, title, status; "-" = absteigend)')],
+      ['view', t('Gespeicherte Ansichten anzeigen')],
+      ['view <name>', t('Ansicht anwenden')],
+      ['view save <name>', t('Aktuellen Filter als Ansicht speichern')],
+      ['view delete <n>', t('Ansicht löschen')],
+    ]],
+    [t('Zeiterfassung:'), [
+      ['start', t('Zeiterfassung für die ausgewählte Aufgabe starten')],
+      ['stop', t('Laufende Zeiterfassung beenden')],
+      [t('timesheet [zeit]'), t('Stundenzettel nach Aufgabe, Schlagwort und Datum (woche, monat,\nletzte woche, letzter monat oder <von> bis <bis>)')],
+    ]],
+    [t('Listen:'), [
+      ['list', t('Alle Listen anzeigen')],
+      ['list use <name>', t('Zu Liste wechseln')],
+      ['list new <name>', t('Neue Liste anlegen')],
+      ['list rename <n>', t('Aktuelle Liste umbenennen')],
+      ['list delete [n]', t('Liste löschen')],
+    ]],
+    [t('Ansicht:'), [
+      ['help', t('Hilfe anzeigen')],
+      ['details', t('Details anzeigen')],
+      ['agenda', t('Offene Aufgaben nach Fälligkeit gruppiert')],
+      ['board', t('Aufgaben als Spalten je Status (Kanban)')],
+      [t('stats [wochen]'), t('Statistik mit Diagrammen (ohne Angabe 4 Wochen)')],
+      ['language <de|en>', t('Sprache der Oberfläche wechseln')],
+      ['quit', t('Beenden')],
+    ]],
+  ];
+
+  const formatEntry = ([command, description]) => description === undefined
+    ? `  ${command}`
+    : `  ${command} ${'.'.repeat(Math.max(0, 16 - command.length))} ${description.replace(/\n/g, `\n${' '.repeat(20)}`)}`;
+  const helpText = `
+${chalk.bold(t('TodoDOS - Kommandos:'))}
+
+${sections.map(([title, entries]) => `${chalk.yellow(title)}\n${entries.map(formatEntry).join('\n')}`).join('\n\n')}
+
+${chalk.dim(t('Tipp: Verwende Kurzbefehle wie "a" für add, "d" für delete, etc.'))}
+`;
+
+  console.log(boxen(helpText, {
+    padding: 1,
+    margin: 1,
+    borderStyle: 'double',
+    borderColor: 'blue',
+  }));
+}
+
+// Eine Zeile der Aufgabenliste formatieren
+// Optional mit Einrückung (depth), Fortschritt der Unteraufgaben, Einklapp-Markierung,
+// Markierung für Sammelaktionen und Kennzeichen für blockierte Aufgaben
+function formatTaskLine(task, number, { depth = 0, progress = null, isCollapsed = false, isMarked = false, blocked = false } = {}) {
+  const priorityColor = 
+    task.priority === 'hoch' ? chalk.red :
+    task.priority === 'niedrig' ? chalk.blue :
+    chalk.white;
+
+  const indent = '  '.repeat(depth);
+  const marker = progress && progress.total > 0 ? (isCollapsed ? '▸ ' : '▾ ') : '';
+  const maxLength = Math.max(10, 40 - indent.length - marker.length);
+  const titleText = `${task.title.substring(0, maxLength)}${task.title.length > maxLength ? '...' : ''}`;
+  const title = blocked ? `${chalk.dim(titleText)}${chalk.red(' ⊘')}` : titleText;
+  const progressText = progress && progress.total > 0 ? chalk.dim(` [${progress.done}/${progress.total}]`) : '';
+  const recurText = task.recur ? chalk.dim(' ↻') : '';
+  const notesText = task.notes ? chalk.dim(' ✎') : '';
+  const dueState = getDueState(task);
+  const dueColor =
+    dueState === 'overdue' ? chalk.red :
+    dueState === 'today' || dueState === 'soon' ? chalk.yellow :
+    chalk.white;
+
+  return `${isMarked ? chalk.magenta('●') : ' '}${number.toString().padStart(3)} │ ${statusColor(task.status)(statusLabel(task.status).padEnd(getStatusWidth()))} │ ${priorityColor(priorityLabel(task.priority).padEnd(7))} │ ${dueColor((task.dueDate || '').padEnd(16))} │ ${indent}${marker}${title}${progressText}${recurText}${notesText}`;
+}
+
+// Tabellenkopf der Aufgabenliste - die Statusspalte wächst mit dem längsten Status
+function formatTableHeader() {
+  const extra = getStatusWidth() - 8;
+  const header = t('  Nr │ Status   │ Prio    │ Fälligkeit       │ Titel').split('│');
+  const rule = '  ───┼──────────┼─────────┼──────────────────┼────────────────────────────'.split('┼');
+  header[1] += ' '.repeat(extra);
+  rule[1] += '─'.repeat(extra);
+  return [chalk.dim(header.join('│')), chalk.dim(rule.join('┼'))];
+}
+
+// Spalten der Kanban-Ansicht: die Aufgaben (Indizes) nach Status gruppiert, in der Reihenfolge des Ablaufs
+function getBoardColumns(indices) {
+  const columns = getStatuses().map(status => ({ status, indices: [] }));
+  for (const index of indices) {
+    columns[statusIndex(tasks[index].status)].indices.push(index);
+  }
+  return columns;
+}
+
+// Kanban-Ansicht als Textzeilen: je Status eine Spalte nebeneinander, im Kopf die Anzahl.
+// Die Spalte "column" ist hervorgehoben und scrollt mit der ausgewählten Aufgabe "taskId".
+function formatBoard(columns, { width = 80, height = Infinity, column = -1, taskId = '' } = {}) {
+  const columnWidth = Math.max(10, Math.floor((width - 3 * (columns.length - 1)) / columns.length));
+  const fit = text => (text.length > columnWidth ? `${text.substring(0, columnWidth - 3)}...` : text.padEnd(columnWidth));
+  const rows = Math.max(1, Math.min(height - 2, Math.max(...columns.map(({ indices }) => indices.length))));
+
+  const cells = columns.map(({ status, indices }, columnIndex) => {
+    const head = statusColor(status).bold(fit(`${statusLabel(status)} (${indices.length})`));
+    const selected = indices.findIndex(index => tasks[index].id === taskId);
+    const offset = columnIndex === column ? Math.max(0, selected - rows + 1) : 0;
+    const lines = indices.slice(offset, offset + rows).map(index => {
+      const task = tasks[index];
+      const blocked = isBlocked(tasks, index);
+      const text = fit(`${task.priority === 'hoch' ? '!' : ' '} ${task.title}${blocked ? ' ⊘' : ''}`);
+      const line = blocked ? chalk.dim(text) : getDueState(task) === 'overdue' ? chalk.red(text) : text;
+      return task.id === taskId ? chalk.bgBlue(line) : line;
+    });
+    while (lines.length < rows) {
+      lines.push(' '.repeat(columnWidth));
+    }
+    return [columnIndex === column ? chalk.inverse(head) : head, '─'.repeat(columnWidth), ...lines];
+  });
+
+  return cells[0].map((_, row) => (row === 1
+    ? chalk.dim(cells.map(cell => cell[row]).join('─┼─'))
+    : cells.map(cell => cell[row]).join(chalk.dim(' │ '))));
+}
+
+// Inhalt der Statuszeile: Liste, Zähler je Status, Verbindung und ungespeicherte Änderungen
+function formatStatusLine() {
+  const overdueCount = tasks.filter(task => getDueState(task) === 'overdue').length;
+  const saveState =
+    currentSave ? chalk.blue(t('⟳ Speichert...')) :
+    isDirty() ? chalk.yellow(t('✎ Ungespeichert: {count}', { count: pendingChanges.length })) :
+    chalk.green(t('✓ Gespeichert'));
+
+  const markedCount = getMarkedIndices().length;
+  const statusCounts = getStatuses().map((status, index) => {
+    const label = statusLabel(status);
+    const count = tasks.filter(task => statusIndex(task.status) === index).length;
+    return `${label.charAt(0).toUpperCase()}${label.slice(1)}: ${count}`;
+  });
+  const overdueText = t('Überfällig: {count}', { count: overdueCount });
+
+  const running = getRunningSession();
+  const timerText = running
+    ? chalk.cyan(` | ⏱ ${running.title.substring(0, 20)}${running.title.length > 20 ? '...' : ''} ${formatMinutes(Math.floor(sessionDuration(running) / 60000))}`)
+    : '';
+
+  return `${t('Liste:')} ${chalk.bold(currentList)} | ${t('Aufgaben: {count}', { count: tasks.length })} |${markedCount > 0 ? chalk.magenta(` ${t('Markiert: {count}', { count: markedCount })} |`) : ''} ${statusCounts.join(' | ')} | ${overdueCount > 0 ? chalk.red(overdueText) : overdueText} | ${online ? chalk.green('● Online') : chalk.red('○ Offline')} | ${saveState}${timerText}`;
+}
+
+// Hauptansicht rendern
+function renderMainView() {
+  console.clear();
+  
+  // Header
+  console.log(
+    chalk.blue(
+      figlet.textSync('TodoDOS', {
+        font: 'Small',
+        horizontalLayout: 'default',
+        verticalLayout: 'default',
+      })
+    )
+  );
+  
+  // Status-Zeile
+  console.log(
+    boxen(
+      formatStatusLine(),
+      { padding: 0, borderStyle: 'single', borderColor: 'gray' }
+    )
+  );
+  
+  // Steuerungshinweise
+  console.log(chalk.dim(t(' Befehle: add, delete, edit, toggle, search, help, quit\n')));
+  
+  // Suchleiste, falls aktiv
+  if (query.length > 0) {
+    console.log(chalk.yellow(t(' 🔍 Filter: "{query}" (Zum Löschen: "clear" eingeben)', { query })));
+    for (const error of parseQuery(query).errors) {
+      console.log(chalk.red(`    ${error}`));
+    }
+  }
+  if (hideBlocked) {
+    console.log(chalk.yellow(t(' ⊘ Blockierte Aufgaben ausgeblendet (Zum Anzeigen: "blocked" eingeben)')));
+  }
+  
+  // Aufgabenliste
+  if (tasks.length === 0) {
+    console.log(chalk.dim(t('\n  Keine Aufgaben vorhanden. Gib "add" ein, um eine neue Aufgabe hinzuzufügen.\n')));
+  } else {
+    const visible = getVisibleTasks();
+    const filteredTasks = visible.map(index => tasks[index]);
+    
+    if (filteredTasks.length === 0) {
+      console.log(chalk.dim(t('\n  Keine Treffer für die Suche gefunden.\n')));
+    } else {
+      formatTableHeader().forEach(line => console.log(line));
+      
+      filteredTasks.forEach((task, index) => {
+        const isSelected = index === selectedIndex;
+        const line = formatTaskLine(task, index + 1, {
+          depth: getTaskDepth(tasks, visible[index]),
+          progress: getSubtaskProgress(tasks, visible[index]),
+          isCollapsed: collapsed.includes(task.id),
+          isMarked: marked.includes(task.id),
+          blocked: isBlocked(tasks, visible[index]),
+        });
+        
+        if (isSelected) {
+          console.log(chalk.bgBlue(line));
+        } else {
+          console.log(line);
+        }
+      });
+      
+      // Aktuelle Auswahl anzeigen
+      if (filteredTasks.length > 0) {
+        console.log(chalk.dim(t('\n  → Ausgewählt: {title}', { title: filteredTasks[selectedIndex]?.title || t('Keine') })));
+      }
+    }
+  }
+}
+
+// Details-Ansicht rendern
+function renderDetailsView() {
+  const taskIndex = getSelectedTaskIndex();
+  if (taskIndex === -1) {
+    console.log(chalk.red(t('Keine Aufgabe ausgewählt.')));
+    return;
+  }
+  
+  const task = tasks[taskIndex];
+  const parentIndex = getParentIndex(tasks, taskIndex);
+  const progress = getSubtaskProgress(tasks, taskIndex);
+  const blockers = getBlockerIds(task)
+    .map(id => tasks.find(item => item.id === id))
+    .filter(Boolean);
+  const dependents = getDependentIndices(tasks, taskIndex).map(index => tasks[index]);
+  const formatDependency = item => isDone(item)
+    ? chalk.dim(`✓ ${item.title}`)
+    : `${chalk.yellow('○')} ${item.title}`;
+  const tracked = getTrackedTime(task.id);
+  
+  console.clear();
+  console.log(chalk.blue(figlet.textSync('Details', { font: 'Small' })));
+  
+  const detailsBox = boxen(
+    `${chalk.bold('ID:')} ${task.id}
+${chalk.bold(t('Titel:'))} ${task.title}
+${chalk.bold('Status:')} ${statusColor(task.status)(statusLabel(task.status))}${isBlocked(tasks, taskIndex) ? chalk.red(t(' (blockiert)')) : ''}
+${chalk.bold(t('Priorität:'))} ${
+  task.priority === 'hoch' ? chalk.red(priorityLabel(task.priority)) :
+  task.priority === 'niedrig' ? chalk.blue(priorityLabel(task.priority)) :
+  chalk.white(priorityLabel(task.priority))
+}
+${chalk.bold(t('Fälligkeit:'))} ${task.dueDate || t('Nicht gesetzt')}
+${chalk.bold('Tags:')} ${task.tags.length > 0 ? task.tags.join(', ') : t('Keine')}${
+  parentIndex !== -1 ? `\n${chalk.bold(t('Übergeordnet:'))} ${tasks[parentIndex].title}` : ''
+}${
+  progress.total > 0 ? `\n${chalk.bold(t('Unteraufgaben:'))} ${t('{done}/{total} erledigt', progress)}` : ''
+}${
+  task.recur ? `\n${chalk.bold(t('Wiederholung:'))} ${recurrenceLabel(task.recur)}` : ''
+}${
+  blockers.length > 0 ? `\n${chalk.bold(t('Blockiert durch:'))}\n${blockers.map(item => `  ${formatDependency(item)}`).join('\n')}` : ''
+}${
+  dependents.length > 0 ? `\n${chalk.bold(t('Blockiert:'))}\n${dependents.map(item => `  ${formatDependency(item)}`).join('\n')}` : ''
+}${
+  tracked.count > 0 ? `\n${chalk.bold(t('Erfasste Zeit:'))} ${formatMinutes(tracked.minutes)} ${t('({count} Sitzungen)', { count: tracked.count })}${
+    tracked.running ? chalk.cyan(t(' ⏱ läuft')) : ''}` : ''
+}${
+  task.createdAt ? `\n${chalk.bold(t('Erstellt:'))} ${task.createdAt}` : ''
+}${
+  task.updatedAt ? `\n${chalk.bold(t('Geändert:'))} ${task.updatedAt}` : ''
+}${
+  task.completedAt ? `\n${chalk.bold(t('Erledigt am:'))} ${task.completedAt}` : ''
+}${
+  task.notes ? `\n\n${chalk.bold(t('Notizen:'))}\n${task.notes}` : ''
+}`,
+    {
+      padding: 1,
+      margin: 1,
+      borderStyle: 'round',
+      borderColor: 'blue',
+    }
+  );
+  
+  console.log(detailsBox);
+}
+
+// Eingabeaufforderung anzeigen
+function showPrompt() {
+  const visible = getVisibleTasks();
+  const currentTask = tasks[visible[selectedIndex]];
+  const taskInfo = currentTask ? `[${selectedIndex + 1}/${visible.length}] ${currentTask.title.substring(0, 20)}${currentTask.title.length > 20 ? '...' : ''}` : '';
+  
+  const running = getRunningSession();
+  const timer = running ? ` ⏱ ${formatMinutes(Math.floor(sessionDuration(running) / 60000))}` : '';
+
+  console.log(chalk.dim(`\n${taskInfo}`));
+  rl.question(chalk.cyan(`TodoDOS [${currentList}]${timer}> `), handleCommand);
+}
+
+// Aktuelle Ansicht rendern - Hilfe und Details bleiben bis zum nächsten Kommando
+// bzw. Tastendruck stehen
+function renderCurrentView() {
+  if (view === 'help') {
+    showHelp();
+  } else if (view === 'details') {
+    renderDetailsView();
+  } else if (view === 'board') {
+    renderBoardView();
+  } else if (keyboardMode) {
+    renderKeyboardView();
+  } else {
+    renderMainView();
+  }
+  if (keyboardMode && view !== 'main' && view !== 'board') {
+    process.stdout.write(chalk.dim(t('Beliebige Taste zum Fortfahren...')));
+  }
+}
+
+// Tastenbelegung der Tastatursteuerung (Taste -> Kommando)
+const KEY_COMMANDS = {
+  space: 'toggle',
+  a: 'add',
+  A: 'sub',
+  e: 'edit',
+  n: 'note',
+  d: 'delete',
+  '/': 'search',
+  escape: 'clear',
+  B: 'blocked',
+  s: 'save',
+  r: 'reload',
+  u: 'undo',
+  U: 'redo',
+  tab: 'fold',
+  '>': 'indent',
+  '<': 'outdent',
+  o: 'agenda',
+  m: 'mark',
+  M: 'mark none',
+  b: 'bulk',
+  H: 'history',
+  S: 'stats',
+  z: 'start',
+  Z: 'stop',
+  T: 'timesheet',
+  '+': 'forward',
+  '-': 'back',
+  K: 'board',
+  return: 'details',
+  '?': 'help',
+  q: 'quit',
+};
+
+// Kommandos, die ohne Eingabezeile auskommen und direkt ausgeführt werden
+const DIRECT_KEY_COMMANDS = ['toggle', 'clear', 'blocked', 'undo', 'redo', 'fold', 'indent', 'outdent', 'details', 'help', 'mark', 'start', 'stop', 'forward', 'back', 'board'];
+
+// Kopfzeilen der Tastatursteuerung: Statuszeile, Tastenhinweise, Filter und Tabellenkopf
+function getKeyboardHeader() {
+  const lines = [
+    boxen(
+      formatStatusLine(),
+      { padding: 0, borderStyle: 'single', borderColor: 'gray' }
+    ),
+    chalk.dim(t(' ↑↓/jk PgUp/PgDn Pos1/Ende | Leer erledigt | a neu | e bearbeiten | d löschen | m markieren | / suchen | : Kommando | ? Hilfe | q beenden')),
+  ];
+
+  if (query.length > 0) {
+    lines.push(chalk.yellow(t(' 🔍 Filter: "{query}" (Esc zum Löschen)', { query })));
+    for (const error of parseQuery(query).errors) {
+      lines.push(chalk.red(`    ${error}`));
+    }
+  }
+  if (hideBlocked) {
+    lines.push(chalk.yellow(t(' ⊘ Blockierte Aufgaben ausgeblendet (B zum Anzeigen)')));
+  }
+
+  lines.push(...formatTableHeader());
+  return lines.join('\n').split('\n');
+}
+
+// Anzahl der Zeilen, die unter dem Kopf (und über der Fußzeile) für Aufgaben bleiben
+function getListHeight() {
+  return Math.max(3, (process.stdout.rows || 24) - getKeyboardHeader().length - 1);
+}
+
+// Hauptansicht der Tastatursteuerung: kompakter Kopf und scrollender Ausschnitt der Liste,
+// der an die Terminalgröße angepasst ist. Überschreibt den Bildschirm ohne ihn zu leeren.
+function renderKeyboardView() {
+  const visible = getVisibleTasks();
+  const lines = getKeyboardHeader();
+  const height = getListHeight();
+
+  // Ausschnitt so verschieben, dass die Auswahl sichtbar bleibt
+  if (selectedIndex < scrollOffset) {
+    scrollOffset = selectedIndex;
+  } else if (selectedIndex >= scrollOffset + height) {
+    scrollOffset = selectedIndex - height + 1;
+  }
+  scrollOffset = Math.max(0, Math.min(scrollOffset, visible.length - height));
+
+  const rows = visible.slice(scrollOffset, scrollOffset + height).map((taskIndex, offset) => {
+    const position = scrollOffset + offset;
+    const line = formatTaskLine(tasks[taskIndex], position + 1, {
+      depth: getTaskDepth(tasks, taskIndex),
+      progress: getSubtaskProgress(tasks, taskIndex),
+      isCollapsed: collapsed.includes(tasks[taskIndex].id),
+      isMarked: marked.includes(tasks[taskIndex].id),
+      blocked: isBlocked(tasks, taskIndex),
+    });
+    return position === selectedIndex ? chalk.bgBlue(line) : line;
+  });
+  if (visible.length === 0) {
+    rows.push(chalk.dim(tasks.length === 0
+      ? t('  Keine Aufgaben vorhanden. Mit "a" eine neue Aufgabe hinzufügen.')
+      : t('  Keine Treffer für die Suche gefunden.')));
+  }
+  while (rows.length < height) {
+    rows.push('');
+  }
+  lines.push(...rows);
+
+  const range = visible.length > 0
+    ? t('{first}-{last} von {count}', { first: scrollOffset + 1, last: Math.min(visible.length, scrollOffset + height), count: visible.length })
+    : t('0 von 0');
+  lines.push(chalk.dim(` [${range}]`) + (statusMessage ? ` ${statusMessage}` : ''));
+
+  // Cursor nach oben, jede Zeile bis zum Ende überschreiben und den Rest löschen
+  process.stdout.write(`\x1b[H${lines.map(line => `${line}\x1b[K`).join('\n')}\x1b[J`);
+}
+
+// Kanban-Ansicht der Tastatursteuerung: Statuszeile, Tastenhinweise und die Spalten der
+// sichtbaren Aufgaben, an die Fenstergröße angepasst
+function renderBoardView() {
+  const lines = [
+    boxen(
+      formatStatusLine(),
+      { padding: 0, borderStyle: 'single', borderColor: 'gray' }
+    ),
+    chalk.dim(t(' ←→/hl Spalte | ↑↓/jk Aufgabe | +/- Status vor/zurück | Enter in der Liste zeigen | Esc/q zurück')),
+  ].join('\n').split('\n');
+  const height = Math.max(3, (process.stdout.rows || 24) - lines.length - 1);
+
+  const board = formatBoard(getBoardColumns(getVisibleTasks()), {
+    width: process.stdout.columns || 80,
+    height,
+    column: boardColumn,
+    taskId: boardTaskId,
+  });
+  while (board.length < height) {
+    board.push('');
+  }
+  lines.push(...board, statusMessage ? ` ${statusMessage}` : '');
+
+  process.stdout.write(`\x1b[H${lines.map(line => `${line}\x1b[K`).join('\n')}\x1b[J`);
+}
+
+// Tastatursteuerung aktivieren: Rohmodus, alternativer Bildschirm ohne Zeilenumbruch
+function startKeyboardMode() {
+  keyboardMode = true;
+  readline.emitKeypressEvents(process.stdin);
+  process.stdin.on('keypress', (str, key) => {
+    handleKeypress(str, key).catch(error => {
+      statusMessage = error.cancelled ? chalk.yellow(error.message) : chalk.red(t('Fehler: {message}', { message: error.message }));
+      resumeKeys();
+    });
+  });
+  process.stdout.on('resize', () => {
+    if (keysActive) {
+      renderCurrentView();
+    }
+  });
+  // Laufende Zeiterfassung in der Statuszeile mitzählen
+  setInterval(() => {
+    if (keysActive && (view === 'main' || view === 'board') && getRunningSession()) {
+      renderCurrentView();
+    }
+  }, 30000).unref();
+  process.on('exit', () => {
+    process.stdout.write('\x1b[?7h\x1b[?1049l');
+    cliCursor.show();
+  });
+
+  process.stdout.write('\x1b[?1049h');
+  if (rl) {
+    rl.close();
+    rl = null;
+  }
+  resumeKeys();
+}
+
+// Nach einem Kommando wieder auf Tastendrücke reagieren
+function resumeKeys() {
+  process.stdin.setRawMode(true);
+  process.stdin.resume();
+  process.stdout.write('\x1b[?7l');
+  cliCursor.hide();
+  keysActive = true;
+  renderCurrentView();
+}
+
+// Kommando aus der Tastatursteuerung ausführen. Kommandos mit Rückfragen bekommen
+// für ihre Dauer eine Eingabezeile, die letzte Meldung erscheint danach in der Fußzeile.
+async function runKeyCommand(command) {
+  keysActive = false;
+  if (DIRECT_KEY_COMMANDS.includes(command.split(' ')[0])) {
+    await captureStatus(() => executeCommand(command));
+    resumeKeys();
+    return;
+  }
+
+  process.stdout.write('\x1b[?7h\x1b[H\x1b[J');
+  cliCursor.show();
+  initializeReadline();
+  try {
+    const input = command === ':' ? await ask(chalk.cyan(':')) : command;
+    await captureStatus(() => executeCommand(input));
+  } finally {
+    rl.close();
+    rl = null;
+    resumeKeys();
+  }
+}
+
+// Ausgaben eines Kommandos mitschreiben und die letzte Zeile als Statusmeldung merken
+async function captureStatus(fn) {
+  const log = console.log;
+  console.log = (...values) => {
+    // Eingerückte Detailzeilen überschreiben die eigentliche Meldung nicht
+    const lastLine = values.join(' ').split('\n').filter(line => line.trim()).pop();
+    if (lastLine && (!statusMessage || !/^\s/.test(lastLine.replace(/\x1b\[[0-9;]*m/g, '')))) {
+      statusMessage = lastLine.trim();
+    }
+    log(...values);
+  };
+  try {
+    await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+// Tastendruck in der Kanban-Ansicht: Spalte und Aufgabe wählen, Status vor- und zurückschieben.
+// Die Auswahl hängt an der Aufgabe und wandert mit ihr in die neue Spalte.
+async function handleBoardKey(str, key) {
+  statusMessage = '';
+  const name = str && str.length === 1 && str > ' ' ? str : key.name;
+  const columns = getBoardColumns(getVisibleTasks());
+  const row = Math.max(0, columns[boardColumn].indices.findIndex(index => tasks[index].id === boardTaskId));
+  const select = (column, position) => {
+    const indices = columns[column].indices;
+    boardColumn = column;
+    boardTaskId = indices.length > 0 ? tasks[indices[Math.max(0, Math.min(indices.length - 1, position))]].id : '';
+  };
+  const showInList = () => {
+    const position = getVisibleTasks().findIndex(index => tasks[index].id === boardTaskId);
+    if (position !== -1) {
+      selectedIndex = position;
+    }
+  };
+
+  switch (name) {
+    case 'left':
+    case 'h':
+      select(Math.max(0, boardColumn - 1), row);
+      break;
+    case 'right':
+    case 'l':
+      select(Math.min(columns.length - 1, boardColumn + 1), row);
+      break;
+    case 'up':
+    case 'k':
+      select(boardColumn, row - 1);
+      break;
+    case 'down':
+    case 'j':
+      select(boardColumn, row + 1);
+      break;
+    case '+':
+    case '-': {
+      if (!boardTaskId) {
+        break;
+      }
+      showInList();
+      await runKeyCommand(KEY_COMMANDS[name]);
+      const task = tasks.find(item => item.id === boardTaskId);
+      if (task) {
+        boardColumn = statusIndex(task.status);
+      }
+      break;
+    }
+    case 'return':
+      showInList();
+      view = 'main';
+      break;
+    case 'escape':
+    case 'q':
+    case 'K':
+      view = 'main';
+      break;
+    default:
+      break;
+  }
+
+  renderCurrentView();
+}
+
+// Tastendruck in der Tastatursteuerung verarbeiten
+async function handleKeypress(str, key = {}) {
+  if (!keysActive) {
+    return;
+  }
+  if (key.ctrl && key.name === 'c') {
+    await runKeyCommand('quit');
+    return;
+  }
+  if (view === 'board') {
+    await handleBoardKey(str, key);
+    return;
+  }
+  // Hilfe und Details schließen mit einer beliebigen Taste
+  if (view !== 'main') {
+    view = 'main';
+    renderCurrentView();
+    return;
+  }
+
+  statusMessage = '';
+  const name = str && str.length === 1 && str > ' ' ? str : key.name;
+  const count = getVisibleTasks().length;
+  const page = Math.max(1, getListHeight() - 1);
+
+  switch (name) {
+    case 'up':
+    case 'k':
+      selectedIndex = Math.max(0, selectedIndex - 1);
+      break;
+    case 'down':
+    case 'j':
+      selectedIndex = Math.max(0, Math.min(count - 1, selectedIndex + 1));
+      break;
+    case 'pageup':
+      selectedIndex = Math.max(0, selectedIndex - page);
+      break;
+    case 'pagedown':
+      selectedIndex = Math.max(0, Math.min(count - 1, selectedIndex + page));
+      break;
+    case 'home':
+    case 'g':
+      selectedIndex = 0;
+      break;
+    case 'end':
+    case 'G':
+      selectedIndex = Math.max(0, count - 1);
+      break;
+    case ':':
+      await runKeyCommand(':');
+      return;
+    case 'm':
+      // Markieren und zur nächsten Aufgabe, so lassen sich Aufgaben nacheinander markieren
+      await runKeyCommand('mark');
+      selectedIndex = Math.max(0, Math.min(count - 1, selectedIndex + 1));
+      break;
+    default:
+      if (KEY_COMMANDS[name]) {
+        await runKeyCommand(KEY_COMMANDS[name]);
+        return;
+      }
+  }
+
+  renderKeyboardView();
+}
+
+// Kommando verarbeiten (Eingabe an der Eingabeaufforderung)
+async function handleCommand(input) {
+  view = 'main';
+  try {
+    await executeCommand(input);
+    renderCurrentView();
+  } catch (error) {
+    if (error.cancelled) {
+      console.log(chalk.yellow(error.message));
+    } else {
+      console.error(chalk.red(t('Fehler:')), error.message);
+    }
+  }
+  showPrompt();
+}
+
+// Kommando ausführen - wird von der Eingabeaufforderung und hinter ":" in der Tastatursteuerung genutzt
+async function executeCommand(input) {
+  const [firstWord = '', ...args] = input.trim().split(/\s+/);
+  const command = firstWord.toLowerCase();
+
+  switch (command) {
+    case 'quit':
+    case 'q':
+    case 'exit':
+      await quitApp();
+      break;
+      
+    case 'help':
+    case 'h':
+      view = 'help';
+      break;
+      
+    case 'add':
+    case 'a':
+      await handleAddTask();
+      break;
+      
+    case 'quick':
+    case 'qa':
+      await handleQuickAdd();
+      break;
+      
+    case 'delete':
+    case 'd':
+      await handleDeleteTask();
+      break;
+
+    case 'sub':
+      await handleAddSubtask(args.join(' '));
+      break;
+
+    case 'indent':
+    case '>':
+      handleIndentTask('in');
+      break;
+
+    case 'outdent':
+    case '<':
+      handleIndentTask('out');
+      break;
+
+    case 'fold':
+      handleCollapse('toggle', args[0]);
+      break;
+
+    case 'collapse':
+      handleCollapse('collapse', args[0]);
+      break;
+
+    case 'expand':
+      handleCollapse('expand', args[0]);
+      break;
+      
+    case 'edit':
+    case 'e':
+      await handleEditTask();
+      break;
+
+    case 'note':
+    case 'notes':
+    case 'n':
+      await handleEditNotes();
+      break;
+      
+    case 'toggle':
+    case 't':
+    case 'space':
+      handleToggleTask();
+      break;
+      
+    case 'save':
+    case 's':
+      await saveTasks();
+      await syncOtherLists();
+      break;
+
+    case 'list':
+    case 'lists':
+    case 'l':
+      await handleListCommand(args);
+      break;
+
+    case 'move':
+    case 'mv':
+      handleMoveTask(args.join(' '));
+      break;
+
+    case 'mark':
+    case 'unmark':
+      handleMarkCommand(command, args);
+      break;
+
+    case 'bulk':
+    case 'b':
+      await handleBulkCommand(args);
+      break;
+      
+    case 'reload':
+    case 'r':
+      if (await confirmUnsavedChanges(t('neu laden'))) {
+        await loadTasks();
+        console.log(chalk.green(t('✓ Aufgaben neu geladen')));
+      }
+      break;
+      
+    case 'search':
+    case 'filter':
+    case '/':
+      await handleSearch(args.join(' '));
+      break;
+      
+    case 'details':
+    case 'show':
+      view = 'details';
+      break;
+      
+    case 'up':
+    case 'k':
+      selectedIndex = Math.max(0, selectedIndex - 1);
+      break;
+      
+    case 'down':
+    case 'j':
+      selectedIndex = Math.max(0, Math.min(getVisibleTasks().length - 1, selectedIndex + 1));
+      break;
+      
+    case 'home':
+      selectedIndex = 0;
+      break;
+      
+    case 'end':
+      selectedIndex = Math.max(0, getVisibleTasks().length - 1);
+      break;
+      
+    case 'clear':
+      query = '';
+      selectedIndex = 0;
+      console.log(chalk.green(t('✓ Suche gelöscht')));
+      break;
+
+    case 'blocked':
+      hideBlocked = !hideBlocked;
+      clampSelection();
+      console.log(chalk.green(hideBlocked ? t('✓ Blockierte Aufgaben ausgeblendet') : t('✓ Blockierte Aufgaben werden angezeigt')));
+      break;
+
+    case 'view':
+    case 'v':
+      handleViewCommand(args);
+      break;
+
+    case 'undo':
+    case 'u':
+      handleUndo();
+      break;
+
+    case 'redo':
+      handleRedo();
+      break;
+
+    case 'history':
+      await handleShowHistory();
+      break;
+
+    case 'agenda':
+    case 'ag':
+      await handleShowAgenda();
+      break;
+
+    case 'stats':
+      await handleShowStats(args[0]);
+      break;
+
+    case 'forward':
+    case '+':
+      handleStepStatus(1);
+      break;
+
+    case 'back':
+    case '-':
+      handleStepStatus(-1);
+      break;
+
+    case 'status':
+      handleStatusCommand(args.join(' '));
+      break;
+
+    case 'board':
+    case 'kanban':
+      await handleShowBoard();
+      break;
+
+    case 'start':
+      await handleStartTimer();
+      break;
+
+    case 'stop':
+      await stopTimer();
+      break;
+
+    case 'timesheet':
+    case 'ts':
+      await handleShowTimesheet(args.join(' '));
+      break;
+
+    case 'import':
+    case 'export':
+      await handleTransfer(command, args);
+      break;
+
+    case 'language':
+    case 'lang':
+      handleLanguageCommand(args[0]);
+      break;
+      
+    default:
+      if (input.trim() === '') {
+        // Leere Eingabe - nichts tun
+      } else if (!isNaN(parseInt(command))) {
+        // Nummer eingegeben - zur Aufgabe springen
+        const num = parseInt(command) - 1;
+        if (num >= 0 && num < getVisibleTasks().length) {
+          selectedIndex = num;
+          console.log(chalk.green(t('✓ Zu Aufgabe {number} gesprungen', { number: num + 1 })));
+        } else {
+          console.log(chalk.red(t('Ungültige Aufgabennummer')));
+        }
+      } else {
+        console.log(chalk.red(t('Unbekanntes Kommando: "{input}". Gib "help" für Hilfe ein.', { input })));
+      }
+  }
+}
+
+// Aufgabe hinzufügen
+async function handleAddTask() {
+  console.log(chalk.blue(t('\n📝 Neue Aufgabe hinzufügen')));
+
+  // Titel abfragen
+  const title = await ask(t('Titel: '));
+  if (!title.trim()) {
+    console.log(chalk.yellow(t('Abgebrochen - kein Titel eingegeben')));
+    return;
+  }
+
+  // Priorität abfragen
+  const priority = await ask(t('Priorität [normal/hoch/niedrig] (Enter für normal): '));
+  const taskPriority = priority.trim() ? parsePriority(priority) : 'normal';
+
+  if (!taskPriority) {
+    console.log(chalk.yellow(t('Ungültige Priorität "{priority}" - verwende "normal"', { priority })));
+  }
+
+  // Fälligkeit abfragen
+  const dueDate = await ask(t('Fälligkeit [{hint}] (Enter für keine): ', { hint: t(DUE_DATE_HINT) }));
+  let formattedDate = '';
+
+  if (dueDate.trim()) {
+    formattedDate = await confirmDueDate(dueDate) || '';
+  }
+
+  // Tags abfragen
+  const tags = await ask(t('Tags [komma,getrennt] (Enter für keine): '));
+  const taskTags = tags.trim()
+    ? tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0)
+    : [];
+
+  // Wiederholung abfragen
+  const recur = await ask(t('Wiederholung [{hint}] (Enter für keine): ', { hint: t(RECURRENCE_HINT) }));
+  let taskRecur = '';
+  if (recur.trim()) {
+    const rule = parseRecurrence(recur);
+    if (rule) {
+      taskRecur = formatRecurrence(rule);
+    } else {
+      console.log(chalk.yellow(t('Ungültige Wiederholung "{recur}" - wird ignoriert', { recur: recur.trim() })));
+    }
+  }
+
+  // Aufgabe erstellen
+  addTask(title.trim(), taskPriority || 'normal', formattedDate, taskTags, { recur: taskRecur });
+
+  console.log(chalk.green(t('✓ Aufgabe "{title}" hinzugefügt', { title: title.trim() })));
+
+  if (taskPriority && taskPriority !== 'normal') {
+    console.log(chalk.dim(t('   Priorität: {value}', { value: priorityLabel(taskPriority) })));
+  }
+  if (formattedDate) {
+    console.log(chalk.dim(t('   Fälligkeit: {value}', { value: formattedDate })));
+  }
+  if (taskTags.length > 0) {
+    console.log(chalk.dim(`   Tags: ${taskTags.join(', ')}`));
+  }
+  if (taskRecur) {
+    console.log(chalk.dim(t('   Wiederholung: {value}', { value: recurrenceLabel(taskRecur) })));
+  }
+}
+
+// Aufgabe löschen
+async function handleDeleteTask() {
+  if (tasks.length === 0) {
+    console.log(chalk.yellow(t('Keine Aufgaben zum Löschen vorhanden')));
+    return;
+  }
+  
+  const taskIndex = getSelectedTaskIndex();
+  if (taskIndex !== -1) {
+    const task = tasks[taskIndex];
+    const subtaskCount = getDescendantIndices(tasks, taskIndex).length;
+    if (subtaskCount > 0) {
+      const answer = await ask(chalk.yellow(t('"{title}" hat {count} Unteraufgaben - alle mitlöschen? (j/n): ', { title: task.title, count: subtaskCount })));
+      if (!isYes(answer)) {
+        console.log(chalk.yellow(t('Abgebrochen')));
+        return;
+      }
+    }
+
+    const index = tasks.findIndex(item => item.id === task.id);
+    if (index === -1) {
+      console.log(chalk.yellow(t('Aufgabe "{title}" wurde inzwischen gelöscht', { title: task.title })));
+      return;
+    }
+    deleteTask(index);
+    clampSelection();
+    console.log(chalk.green(subtaskCount > 0
+      ? t('✓ Aufgabe "{title}" gelöscht (mit {count} Unteraufgaben)', { title: task.title, count: subtaskCount })
+      : t('✓ Aufgabe "{title}" gelöscht', { title: task.title })));
+    console.log(chalk.dim(t('   Rückgängig mit "undo"')));
+  }
+}
+
+// Unteraufgabe zur ausgewählten Aufgabe hinzufügen
+async function handleAddSubtask(titleArg) {
+  const parentIndex = getSelectedTaskIndex();
+  if (parentIndex === -1) {
+    console.log(chalk.yellow(t('Keine Aufgabe ausgewählt')));
+    return;
+  }
+
+  const parent = tasks[parentIndex];
+  const title = titleArg.trim() || (await ask(t('Unteraufgabe für "{title}": ', { title: parent.title }))).trim();
+  if (!title) {
+    console.log(chalk.yellow(t('Abgebrochen - kein Titel eingegeben')));
+    return;
+  }
+
+  addTask(title, 'normal', '', [], { parent: parent.id });
+  // Eingeklappte Elternaufgabe aufklappen, damit die neue Unteraufgabe sichtbar ist
+  collapsed = collapsed.filter(id => id !== parent.id);
+  writeCache();
+  console.log(chalk.green(t('✓ Unteraufgabe "{title}" zu "{parent}" hinzugefügt', { title, parent: parent.title })));
+}
+
+// Ausgewählte Aufgabe ein- oder ausrücken
+function handleIndentTask(direction) {
+  const taskIndex = getSelectedTaskIndex();
+  if (taskIndex === -1) {
+    console.log(chalk.yellow(t('Keine Aufgabe ausgewählt')));
+    return;
+  }
+
+  const task = tasks[taskIndex];
+  if (direction === 'in') {
+    if (!indentTask(taskIndex)) {
+      console.log(chalk.yellow(t('Keine vorherige Aufgabe auf dieser Ebene zum Einrücken')));
+      return;
+    }
+    const parentId = tasks[taskIndex].parent;
+    collapsed = collapsed.filter(id => id !== parentId);
+    writeCache();
+    console.log(chalk.green(t('✓ "{title}" eingerückt', { title: task.title })));
+  } else {
+    if (!outdentTask(taskIndex)) {
+      console.log(chalk.yellow(t('Aufgabe ist bereits auf oberster Ebene')));
+      return;
+    }
+    console.log(chalk.green(t('✓ "{title}" ausgerückt', { title: task.title })));
+  }
+
+  // Auswahl bleibt auf der verschobenen Aufgabe
+  selectedIndex = Math.max(0, getVisibleTasks().indexOf(taskIndex));
+}
+
+// Unteraufgaben der ausgewählten Aufgabe ein- oder ausklappen ("all" für alle)
+function handleCollapse(mode, target) {
+  if (target === 'all' || target === 'alle') {
+    collapsed = mode === 'collapse'
+      ? tasks.filter((task, index) => getSubtaskProgress(tasks, index).total > 0).map(task => task.id)
+      : [];
+    writeCache();
+    clampSelection();
+    return;
+  }
+
+  let taskIndex = getSelectedTaskIndex();
+  if (taskIndex === -1) {
+    console.log(chalk.yellow(t('Keine Aufgabe ausgewählt')));
+    return;
+  }
+  // Auf einer Unteraufgabe wirkt das Einklappen auf deren Elternaufgabe
+  if (getSubtaskProgress(tasks, taskIndex).total === 0) {
+    taskIndex = getParentIndex(tasks, taskIndex);
+    if (taskIndex === -1) {
+      console.log(chalk.yellow(t('Aufgabe hat keine Unteraufgaben')));
+      return;
+    }
+  }
+
+  const id = tasks[taskIndex].id;
+  const isCollapsed = collapsed.includes(id);
+  const collapse = mode === 'toggle' ? !isCollapsed : mode === 'collapse';
+  collapsed = collapsed.filter(collapsedId => collapsedId !== id);
+  if (collapse) {
+    collapsed.push(id);
+  }
+  writeCache();
+  selectedIndex = Math.max(0, getVisibleTasks().indexOf(taskIndex));
+}
+
+// Eingegebene Fälligkeit auflösen und bestätigen lassen - liefert null bei ungültiger
+// oder abgelehnter Eingabe. Bereits eindeutige Daten (YYYY-MM-DD) werden direkt übernommen.
+async function confirmDueDate(input) {
+  const dueDate = parseDueDate(input);
+  if (!dueDate) {
+    console.log(chalk.yellow(t('Ungültiges Datum "{date}" - wird ignoriert', { date: input.trim() })));
+    return null;
+  }
+  if (dueDate === input.trim()) {
+    return dueDate;
+  }
+
+  const answer = await ask(t('   → {date} übernehmen? (J/n): ', { date: describeDueDate(dueDate) }));
+  if (answer.trim().toLowerCase().startsWith('n')) {
+    console.log(chalk.dim(t('   Fälligkeit nicht übernommen')));
+    return null;
+  }
+  return dueDate;
+}
+
+// Aufgabe bearbeiten
+async function handleEditTask() {
+  const taskIndex = getSelectedTaskIndex();
+  if (taskIndex === -1) {
+    console.log(chalk.yellow(t('Keine Aufgabe zum Bearbeiten ausgewählt')));
+    return;
+  }
+
+  const task = tasks[taskIndex];
+  const updates = {};
+  console.log(chalk.blue(t('\n✏️  Aufgabe bearbeiten: "{title}"', { title: task.title })));
+  console.log(chalk.dim(t('(Enter lässt Wert unverändert)\n')));
+
+  // Titel bearbeiten
+  const newTitle = await ask(t('Titel [{title}]: ', { title: task.title }));
+  if (newTitle.trim()) {
+    updates.title = newTitle.trim();
+  }
+
+  // Priorität bearbeiten
+  const newPriority = await ask(t('Priorität [{priority}] (normal/hoch/niedrig): ', { priority: priorityLabel(task.priority) }));
+  if (newPriority.trim() && parsePriority(newPriority)) {
+    updates.priority = parsePriority(newPriority);
+  }
+
+  // Fälligkeit bearbeiten
+  const currentDue = task.dueDate || t('keine');
+  const newDueDate = await ask(t("Fälligkeit [{current}] ({hint} oder 'keine'): ", { current: currentDue, hint: t(DUE_DATE_HINT) }));
+  if (newDueDate.trim()) {
+    if (isNone(newDueDate)) {
+      updates.dueDate = '';
+    } else {
+      const dueDate = await confirmDueDate(newDueDate);
+      if (dueDate) {
+        updates.dueDate = dueDate;
+      }
+    }
+  }
+
+  // Tags bearbeiten
+  const currentTags = task.tags.length > 0 ? task.tags.join(', ') : t('keine');
+  const newTags = await ask(t("Tags [{current}] (komma,getrennt oder 'keine'): ", { current: currentTags }));
+  if (newTags.trim()) {
+    if (isNone(newTags)) {
+      updates.tags = [];
+    } else {
+      updates.tags = newTags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+    }
+  }
+
+  // Wiederholung bearbeiten
+  const currentRecur = task.recur ? recurrenceLabel(task.recur) : t('keine');
+  const newRecur = await ask(t("Wiederholung [{current}] ({hint} oder 'keine'): ", { current: currentRecur, hint: t(RECURRENCE_HINT) }));
+  if (newRecur.trim()) {
+    const rule = parseRecurrence(newRecur);
+    if (isNone(newRecur)) {
+      updates.recur = '';
+    } else if (rule) {
+      updates.recur = formatRecurrence(rule);
+    } else {
+      console.log(chalk.yellow(t('Ungültige Wiederholung "{recur}" - nicht geändert', { recur: newRecur.trim() })));
+    }
+  }
+
+  // Abhängigkeiten bearbeiten - Nummern wie in der angezeigten Liste. Die Liste wird über die IDs
+  // gemerkt, weil automatisches Speichern während der Eingabe die Reihenfolge ändern kann.
+  const visible = getVisibleTasks().map(index => tasks[index].id);
+  const currentBlockers = getBlockerIds(task)
+    .map(id => {
+      const position = visible.indexOf(id);
+      return position === -1 ? id : String(position + 1);
+    })
+    .join(', ') || t('keine');
+  const newBlockers = await ask(t("Blockiert durch [{current}] (Nummern oder IDs, komma,getrennt oder 'keine'): ", { current: currentBlockers }));
+  if (newBlockers.trim()) {
+    try {
+      updates.blockedBy = parseBlockers(newBlockers, task.id, visible.map(id => tasks.findIndex(item => item.id === id)));
+    } catch (error) {
+      console.log(chalk.yellow(t('{message} - nicht geändert', { message: error.message })));
+    }
+  }
+
+  // Aufgabe erst jetzt über die ID suchen, ihre Position kann sich inzwischen verschoben haben
+  const index = tasks.findIndex(item => item.id === task.id);
+  if (index === -1) {
+    console.log(chalk.yellow(t('Aufgabe "{title}" wurde inzwischen gelöscht', { title: task.title })));
+    return;
+  }
+  if (Object.keys(updates).length > 0) {
+    editTask(index, updates);
+  }
+
+  console.log(chalk.green(t('✓ Aufgabe "{title}" aktualisiert', { title: tasks[index].title })));
+  clampSelection();
+}
+
+// Notizen der ausgewählten Aufgabe bearbeiten - mehrzeilig, eine leere Zeile beendet die Eingabe
+async function handleEditNotes() {
+  const taskIndex = getSelectedTaskIndex();
+  if (taskIndex === -1) {
+    console.log(chalk.yellow(t('Keine Aufgabe ausgewählt')));
+    return;
+  }
+
+  const task = tasks[taskIndex];
+  console.log(chalk.blue(t('\n📝 Notizen zu "{title}"', { title: task.title })));
+  if (task.notes) {
+    console.log(chalk.dim(task.notes.split('\n').map(line => `   ${line}`).join('\n')));
+  }
+  console.log(chalk.dim(t("(Leere Zeile beendet, sofort Enter lässt die Notizen unverändert, '-' löscht sie)\n")));
+
+  const lines = [];
+  let line;
+  while ((line = (await ask(lines.length === 0 ? t('Notizen: ') : '       > ')).trimEnd()).trim()) {
+    lines.push(line);
+    if (lines.length === 1 && line.trim() === '-') {
+      break;
+    }
+  }
+
+  // Während der Eingabe kann automatisches Speichern die Reihenfolge ändern
+  const index = tasks.findIndex(item => item.id === task.id);
+  if (lines.length === 0) {
+    console.log(chalk.dim(t('Notizen unverändert')));
+  } else if (index === -1) {
+    console.log(chalk.yellow(t('Aufgabe "{title}" wurde inzwischen gelöscht', { title: task.title })));
+  } else if (lines.length === 1 && lines[0].trim() === '-') {
+    editTask(index, { notes: '' });
+    console.log(chalk.green(t('✓ Notizen von "{title}" gelöscht', { title: task.title })));
+  } else {
+    editTask(index, { notes: lines.join('\n') });
+    console.log(chalk.green(t('✓ Notizen von "{title}" gespeichert', { title: task.title })));
+  }
+}
+
+// Aufgabe als erledigt markieren
+function handleToggleTask() {
+  const taskIndex = getSelectedTaskIndex();
+  if (taskIndex === -1) {
+    console.log(chalk.yellow(t('Keine Aufgabe zum Umschalten ausgewählt')));
+    return;
+  }
+  
+  changeTaskStatus(taskIndex, isDone(tasks[taskIndex]) ? initialStatus() : doneStatus());
+}
+
+// Ausgewählte Aufgabe im Status-Ablauf einen Schritt weiter (1) bzw. zurück (-1) schieben
+function handleStepStatus(step) {
+  const taskIndex = getSelectedTaskIndex();
+  if (taskIndex === -1) {
+    console.log(chalk.red(t('Keine Aufgabe ausgewählt.')));
+    return;
+  }
+
+  const task = tasks[taskIndex];
+  const status = stepStatus(task, step);
+  if (!status) {
+    const text = step > 0 ? '"{title}" ist schon im letzten Status ({status})' : '"{title}" ist schon im ersten Status ({status})';
+    console.log(chalk.yellow(t(text, { title: task.title, status: statusLabel(task.status) })));
+    return;
+  }
+  changeTaskStatus(taskIndex, status);
+}
+
+// Ohne Angabe den Status-Ablauf zeigen (aktueller Status der Auswahl in Klammern),
+// sonst die ausgewählte Aufgabe direkt auf den Status setzen
+function handleStatusCommand(value) {
+  const taskIndex = getSelectedTaskIndex();
+  if (!value) {
+    const current = taskIndex === -1 ? -1 : statusIndex(tasks[taskIndex].status);
+    const steps = getStatuses().map((status, index) => (index === current
+      ? statusColor(status).bold(`[${statusLabel(status)}]`)
+      : statusLabel(status)));
+    console.log(t('Status-Ablauf: {steps}', { steps: steps.join(' → ') }));
+    return;
+  }
+
+  const status = parseStatus(value);
+  if (!status) {
+    console.log(chalk.red(t('Ungültiger Status "{status}" ({statuses})', { status: value, statuses: getStatuses().map(statusLabel).join('/') })));
+    return;
+  }
+  if (taskIndex === -1) {
+    console.log(chalk.red(t('Keine Aufgabe ausgewählt.')));
+    return;
+  }
+  if (tasks[taskIndex].status === status) {
+    console.log(chalk.yellow(t('"{title}" ist bereits {status}', { title: tasks[taskIndex].title, status: statusLabel(status) })));
+    return;
+  }
+  changeTaskStatus(taskIndex, status);
+}
+
+// Status ändern und melden - beim Erledigen auch die mit erledigten Unteraufgaben und eine neue Wiederholung
+function changeTaskStatus(taskIndex, status) {
+  const task = tasks[taskIndex];
+  const openSubtasks = getDescendantIndices(tasks, taskIndex)
+    .filter(index => !isDone(tasks[index])).length;
+  console.log(chalk.green(t('✓ Aufgabe "{title}" als {status} markiert', { title: task.title, status: statusLabel(status) })));
+  if (status === doneStatus() && openSubtasks > 0) {
+    console.log(chalk.dim(t('   {count} offene Unteraufgaben ebenfalls erledigt', { count: openSubtasks })));
+  }
+  // Meldet selbst, welche Aufgaben nicht mehr blockiert sind
+  const nextTask = setTaskStatus(taskIndex, status);
+  clampSelection();
+  if (nextTask) {
+    console.log(chalk.green(t('↻ Nächste Wiederholung am {date} angelegt', { date: nextTask.dueDate })));
+  }
+}
+
+// Listen anzeigen und verwalten
+async function handleListCommand(args) {
+  const [action = '', ...rest] = args;
+  const name = rest.join(' ').trim();
+
+  switch (action.toLowerCase()) {
+    case '':
+      console.log(chalk.blue(t('\n📋 Listen')));
+      getListNames().forEach(listName => {
+        const marker = listName === currentList ? chalk.green('●') : ' ';
+        console.log(`  ${marker} ${listName}`);
+      });
+      await ask(chalk.dim(t('\nEnter zum Fortfahren...')));
+      break;
+
+    case 'use':
+    case 'switch':
+      if (!name) {
+        console.log(chalk.yellow(t('Verwendung: list use <name>')));
+      } else if (!getListNames().includes(name)) {
+        console.log(chalk.red(t('Liste "{name}" nicht gefunden', { name })));
+      } else {
+        await switchList(name);
+        console.log(chalk.green(t('✓ Zu Liste "{name}" gewechselt', { name })));
+      }
+      break;
+
+    case 'new':
+    case 'create':
+      if (!name) {
+        console.log(chalk.yellow(t('Verwendung: list new <name>')));
+      } else {
+        await createList(name);
+        await switchList(name);
+        console.log(chalk.green(t('✓ Liste "{name}" angelegt', { name })));
+      }
+      break;
+
+    case 'rename':
+      if (!name) {
+        console.log(chalk.yellow(t('Verwendung: list rename <neuer name>')));
+      } else {
+        const oldName = currentList;
+        await renameList(oldName, name);
+        console.log(chalk.green(t('✓ Liste "{oldName}" in "{name}" umbenannt', { oldName, name })));
+      }
+      break;
+
+    case 'delete':
+    case 'rm': {
+      const listName = name || currentList;
+      const answer = await ask(chalk.red(t('Liste "{name}" mit allen Aufgaben wirklich löschen? (j/n): ', { name: listName })));
+      if (!isYes(answer)) {
+        console.log(chalk.yellow(t('Abgebrochen')));
+        break;
+      }
+      await deleteList(listName);
+      console.log(chalk.green(t('✓ Liste "{name}" gelöscht', { name: listName })));
+      if (!currentList) {
+        await switchList(storage.listNames()[0]);
+      }
+      break;
+    }
+
+    default:
+      console.log(chalk.red(t('Unbekannte Listen-Aktion: "{action}" (use, new, rename, delete)', { action })));
+  }
+}
+
+// Ausgewählte Aufgabe in eine andere Liste verschieben
+function handleMoveTask(targetList) {
+  const taskIndex = getSelectedTaskIndex();
+  if (taskIndex === -1) {
+    console.log(chalk.yellow(t('Keine Aufgabe zum Verschieben ausgewählt')));
+    return;
+  }
+  if (!targetList) {
+    console.log(chalk.yellow(t('Verwendung: move <liste>')));
+    return;
+  }
+  if (targetList === currentList || !getListNames().includes(targetList)) {
+    console.log(chalk.red(t('Liste "{name}" nicht gefunden', { name: targetList })));
+    return;
+  }
+
+  const task = tasks[taskIndex];
+  moveTask(taskIndex, targetList);
+  clampSelection();
+  console.log(chalk.green(t('✓ Aufgabe "{title}" nach "{list}" verschoben', { title: task.title, list: targetList })));
+  console.log(chalk.dim(t('   Wird beim nächsten "save" übertragen')));
+}
+
+// Indizes der markierten Aufgaben in der aktuellen Liste
+function getMarkedIndices() {
+  return marked.map(id => tasks.findIndex(task => task.id === id)).filter(index => index !== -1);
+}
+
+// Nummernangabe wie "3", "3-9" oder "1,4,7-9" in Positionen (0-basiert) umwandeln,
+// null bei ungültiger Angabe
+function parseRangeSpec(spec, count) {
+  const positions = [];
+  for (const part of spec.split(',').map(p => p.trim()).filter(p => p.length > 0)) {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) {
+      return null;
+    }
+    const from = Number(match[1]);
+    const to = Number(match[2] || match[1]);
+    if (from < 1 || to > count || from > to) {
+      return null;
+    }
+    for (let position = from; position <= to; position++) {
+      positions.push(position - 1);
+    }
+  }
+  return positions.length > 0 ? positions : null;
+}
+
+// Aufgaben für Sammelaktionen markieren: ohne Angabe die ausgewählte (umschalten),
+// sonst Nummern/Bereiche der angezeigten Liste, "all" (alles, was der Filter zeigt) oder "none"
+function handleMarkCommand(command, args) {
+  const spec = args.join(',').toLowerCase();
+  const visible = getVisibleTasks();
+
+  if (isNone(spec) || (command === 'unmark' && ['all', 'alle'].includes(spec))) {
+    marked = [];
+    console.log(chalk.green(t('✓ Markierungen aufgehoben')));
+    return;
+  }
+
+  let targets;
+  if (!spec) {
+    const taskIndex = getSelectedTaskIndex();
+    if (taskIndex === -1) {
+      console.log(chalk.yellow(t('Keine Aufgabe ausgewählt')));
+      return;
+    }
+    targets = [taskIndex];
+  } else if (['all', 'alle'].includes(spec)) {
+    targets = visible;
+  } else {
+    const positions = parseRangeSpec(spec, visible.length);
+    if (!positions) {
+      console.log(chalk.red(t('Ungültige Auswahl "{spec}" (z.B. 3, 3-9, 1,4,7-9, all, none)', { spec: args.join(' ') })));
+      return;
+    }
+    targets = positions.map(position => visible[position]);
+  }
+
+  const ids = targets.map(index => tasks[index].id);
+  const unmark = command === 'unmark' || (!spec && marked.includes(ids[0]));
+  marked = marked.filter(id => !ids.includes(id));
+  if (!unmark) {
+    marked.push(...ids);
+  }
+  console.log(chalk.green(t('✓ {count} Aufgaben markiert', { count: getMarkedIndices().length })));
+}
+
+// Eingabehilfe für Sammelaktionen
+const BULK_HINT = 'done, open, toggle, status <s>, delete, prio <p>, due <datum|keine>, shift <+3d|-1w>, tag +a -b, move <liste>';
+
+// Sammelaktion auf alle markierten Aufgaben anwenden - nach Rückfrage in einem Schritt,
+// der sich mit "undo" als Ganzes rückgängig machen lässt
+async function handleBulkCommand(args) {
+  const count = getMarkedIndices().length;
+  if (count === 0) {
+    console.log(chalk.yellow(t('Keine Aufgaben markiert - z.B. mit "mark 3-9" oder "mark all"')));
+    return;
+  }
+
+  let [action = '', ...rest] = args;
+  if (!action) {
+    [action = '', ...rest] = (await ask(t('Aktion für {count} markierte Aufgaben ({hint}): ', { count, hint: t(BULK_HINT) }))).trim().split(/\s+/);
+  }
+  const value = rest.join(' ').trim();
+  const ids = getMarkedIndices().map(index => tasks[index].id);
+  // Index jeweils neu suchen, da Löschen und Verschieben die Positionen ändern
+  const forEachMarked = fn => ids.forEach(id => {
+    const index = tasks.findIndex(task => task.id === id);
+    if (index !== -1) {
+      fn(index);
+    }
+  });
+
+  let description;
+  let apply;
+  switch (action.toLowerCase()) {
+    case 'done':
+    case 'open':
+    case 'toggle': {
+      // Zielstatus vorab bestimmen, damit Unteraufgaben markierter Eltern nicht zurückspringen
+      const wanted = new Map(ids.map(id => {
+        const status = tasks.find(task => task.id === id).status;
+        return [id, action === 'done' ? doneStatus() : action === 'open' ? initialStatus() : status === doneStatus() ? initialStatus() : doneStatus()];
+      }));
+      description = t(action === 'done' ? 'als erledigt markieren' : action === 'open' ? 'wieder öffnen' : 'erledigt umschalten');
+      apply = () => forEachMarked(index => {
+        if (tasks[index].status !== wanted.get(tasks[index].id)) {
+          setTaskStatus(index, wanted.get(tasks[index].id));
+        }
+      });
+      break;
+    }
+    case 'status': {
+      const status = parseStatus(value);
+      if (!status) {
+        console.log(chalk.red(t('Ungültiger Status "{status}" ({statuses})', { status: value, statuses: getStatuses().map(statusLabel).join('/') })));
+        return;
+      }
+      description = t('Status auf "{status}" setzen', { status: statusLabel(status) });
+      apply = () => forEachMarked(index => {
+        if (tasks[index].status !== status) {
+          setTaskStatus(index, status);
+        }
+      });
+      break;
+    }
+    case 'delete': {
+      const subtaskCount = new Set(ids.flatMap(id => getDescendantIndices(tasks, tasks.findIndex(task => task.id === id))
+        .map(index => tasks[index].id)
+        .filter(subtaskId => !ids.includes(subtaskId)))).size;
+      description = subtaskCount > 0 ? t('löschen (mit {count} weiteren Unteraufgaben)', { count: subtaskCount }) : t('löschen');
+      apply = () => forEachMarked(index => deleteTask(index));
+      break;
+    }
+    case 'prio': {
+      const priority = parsePriority(value);
+      if (!priority) {
+        console.log(chalk.red(t('Ungültige Priorität "{priority}" ({priorities})', { priority: value, priorities: PRIORITIES.map(priorityLabel).join('/') })));
+        return;
+      }
+      description = t('Priorität auf "{priority}" setzen', { priority: priorityLabel(priority) });
+      apply = () => forEachMarked(index => {
+        if (tasks[index].priority !== priority) {
+          editTask(index, { priority });
+        }
+      });
+      break;
+    }
+    case 'due': {
+      const dueDate = isNone(value) ? '' : parseDueDate(value);
+      if (dueDate === null) {
+        console.log(chalk.red(t('Ungültiges Datum "{date}" ({hint})', { date: value, hint: t(DUE_DATE_HINT) })));
+        return;
+      }
+      description = dueDate ? t('Fälligkeit auf {date} setzen', { date: describeDueDate(dueDate) }) : t('Fälligkeit entfernen');
+      apply = () => forEachMarked(index => {
+        if (tasks[index].dueDate !== dueDate) {
+          editTask(index, { dueDate });
+        }
+      });
+      break;
+    }
+    case 'shift': {
+      const match = value.toLowerCase().match(/^([+-])(\d+) ?([dtwm])$/);
+      if (!match) {
+        console.log(chalk.red(t('Ungültige Verschiebung "{value}" (z.B. +3d, -1w, +1m)', { value })));
+        return;
+      }
+      const amount = Number(match[2]) * (match[1] === '-' ? -1 : 1);
+      const withDue = ids.filter(id => parseIsoDate(tasks.find(task => task.id === id).dueDate)).length;
+      description = withDue < ids.length
+        ? t('Fälligkeit um {value} verschieben ({count} ohne Fälligkeit bleiben unverändert)', { value, count: ids.length - withDue })
+        : t('Fälligkeit um {value} verschieben', { value });
+      apply = () => forEachMarked(index => {
+        const due = parseIsoDate(tasks[index].dueDate);
+        if (due) {
+          const shifted = match[3] === 'm'
+            ? dateInMonth(due.getFullYear(), due.getMonth() + amount, due.getDate())
+            : addDays(due, match[3] === 'w' ? amount * 7 : amount);
+          editTask(index, { dueDate: formatDate(shifted) + tasks[index].dueDate.slice(10) });
+        }
+      });
+      break;
+    }
+    case 'tag':
+    case 'tags': {
+      const words = value.split(/[\s,]+/).filter(word => word.length > 0);
+      const add = words.filter(word => !word.startsWith('-')).map(word => word.replace(/^\+/, ''));
+      const remove = words.filter(word => word.startsWith('-')).map(word => word.slice(1));
+      if (add.length + remove.length === 0) {
+        console.log(chalk.yellow(t('Verwendung: bulk tag +neu -alt')));
+        return;
+      }
+      description = [
+        add.length > 0 ? t('Tags {tags} hinzufügen', { tags: add.join(', ') }) : '',
+        remove.length > 0 ? t('Tags {tags} entfernen', { tags: remove.join(', ') }) : '',
+      ].filter(Boolean).join(', ');
+      apply = () => forEachMarked(index => {
+        const current = tasks[index].tags;
+        const updated = [...current.filter(tag => !remove.includes(tag)), ...add.filter(tag => !current.includes(tag))];
+        if (updated.join(',') !== current.join(',')) {
+          editTask(index, { tags: updated });
+        }
+      });
+      break;
+    }
+    case 'move':
+    case 'mv':
+      if (!value || value === currentList || !getListNames().includes(value)) {
+        console.log(chalk.red(t('Liste "{name}" nicht gefunden', { name: value })));
+        return;
+      }
+      description = t('nach "{list}" verschieben', { list: value });
+      // Unteraufgaben markierter Eltern werden mit diesen verschoben
+      apply = () => forEachMarked(index => moveTask(index, value));
+      break;
+    default:
+      console.log(chalk.red(t('Unbekannte Aktion "{action}" ({hint})', { action, hint: t(BULK_HINT) })));
+      return;
+  }
+
+  const answer = await ask(chalk.yellow(t('{count} markierte Aufgaben {description}? (j/n): ', { count: ids.length, description })));
+  if (!isYes(answer)) {
+    console.log(chalk.yellow(t('Abgebrochen')));
+    return;
+  }
+
+  recordBatch(t('Sammelaktion: {count} Aufgaben {description}', { count: ids.length, description }), apply);
+  marked = marked.filter(id => tasks.some(task => task.id === id));
+  clampSelection();
+  console.log(chalk.green(t('✓ {count} Aufgaben: {description}', { count: ids.length, description })));
+}
+
+// Suche durchführen
+async function handleSearch(input = '') {
+  if (input) {
+    query = input;
+    selectedIndex = 0;
+    console.log(chalk.green(t('✓ Filter "{query}" aktiv', { query })));
+    return;
+  }
+
+  console.log(chalk.blue(t('\n🔍 Suche')));
+  console.log(chalk.dim(t('Aktuelle Suche: ') + (query || t('keine'))));
+  console.log(chalk.dim(t('Beispiel: status:offen prio:hoch tag:ops due<2026-11-01 "release" sort:due,-prio')));
+  query = (await ask(t('Suchbegriff oder Filter (Enter für löschen): '))).trim();
+  selectedIndex = 0;
+  if (query) {
+    console.log(chalk.green(t('✓ Suche nach "{query}"', { query })));
+  } else {
+    console.log(chalk.green(t('✓ Suche gelöscht')));
+  }
+}
+
+// Letzte Änderung rückgängig machen
+function handleUndo() {
+  const result = undo();
+  if (!result) {
+    console.log(chalk.yellow(t('Nichts zum Rückgängigmachen')));
+  } else if (!result.applied) {
+    console.log(chalk.yellow(t('⚠ {operation} kann nicht rückgängig gemacht werden (Aufgabe nicht mehr vorhanden)', { operation: describeOperation(result.operation) })));
+  } else {
+    clampSelection();
+    console.log(chalk.green(t('✓ Rückgängig: {operation}', { operation: describeOperation(result.operation) })));
+  }
+}
+
+// Rückgängig gemachte Änderung wiederholen
+function handleRedo() {
+  const result = redo();
+  if (!result) {
+    console.log(chalk.yellow(t('Nichts zum Wiederholen')));
+  } else if (!result.applied) {
+    console.log(chalk.yellow(t('⚠ {operation} kann nicht wiederholt werden (Aufgabe nicht mehr vorhanden)', { operation: describeOperation(result.operation) })));
+  } else {
+    clampSelection();
+    console.log(chalk.green(t('✓ Wiederholt: {operation}', { operation: describeOperation(result.operation) })));
+  }
+}
+
+// Verlauf der letzten Änderungen anzeigen
+async function handleShowHistory() {
+  console.log(chalk.blue(t('\n🕘 Verlauf (neueste zuerst)')));
+  if (history.length === 0) {
+    console.log(chalk.dim(t('  Keine Änderungen')));
+  }
+  history.slice(-15).reverse().forEach(operation => {
+    const time = new Date(operation.at).toLocaleString(t('de-DE'));
+    console.log(`  ${chalk.dim(time.padEnd(20))} ${describeOperation(operation)}`);
+  });
+  if (redoStack.length > 0) {
+    console.log(chalk.dim(t('\n  {count} Schritte können mit "redo" wiederholt werden', { count: redoStack.length })));
+  }
+  await ask(chalk.dim(t('\nEnter zum Fortfahren...')));
+}
+
+// Agenda: offene Aufgaben nach Fälligkeit gruppiert anzeigen
+async function handleShowAgenda() {
+  console.log(chalk.blue(t('\n📅 Agenda')));
+  for (const { label, indices } of getAgendaGroups(tasks)) {
+    if (indices.length === 0) {
+      continue;
+    }
+    const color = label === t('Überfällig') ? chalk.red : label === t('Heute') ? chalk.yellow : chalk.bold;
+    console.log(color(`\n ${label} (${indices.length})`));
+    indices.forEach(index => console.log(formatTaskLine(tasks[index], index + 1)));
+  }
+  if (!tasks.some(task => !isDone(task))) {
+    console.log(chalk.dim(t('  Keine offenen Aufgaben')));
+  }
+  await ask(chalk.dim(t('\nEnter zum Fortfahren...')));
+}
+
+// Statistik der aktuellen Liste anzeigen, optional über eine andere Anzahl Wochen
+async function handleShowStats(weeksArg) {
+  const weeks = weeksArg ? Number(weeksArg) : 4;
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > 52) {
+    console.log(chalk.red(t('Ungültige Anzahl Wochen "{weeks}" (1-52)', { weeks: weeksArg })));
+    return;
+  }
+
+  console.log(chalk.blue(t('\n📊 Statistik: {list}\n', { list: currentList })));
+  formatStats(getStats(tasks, weeks)).forEach(line => console.log(line));
+  await ask(chalk.dim(t('\nEnter zum Fortfahren...')));
+}
+
+// Kanban-Ansicht öffnen, ausgehend von der ausgewählten Aufgabe. In der Tastatursteuerung
+// lässt sie sich bedienen, an der Eingabeaufforderung wird sie einmal ausgegeben.
+async function handleShowBoard() {
+  const taskIndex = getSelectedTaskIndex();
+  boardTaskId = taskIndex === -1 ? '' : tasks[taskIndex].id;
+  boardColumn = taskIndex === -1 ? 0 : statusIndex(tasks[taskIndex].status);
+  if (keyboardMode) {
+    view = 'board';
+    return;
+  }
+
+  console.log(chalk.blue(t('\n▦ Board: {list}\n', { list: currentList })));
+  const board = formatBoard(getBoardColumns(getVisibleTasks()), {
+    width: process.stdout.columns || 100,
+    column: boardColumn,
+    taskId: boardTaskId,
+  });
+  board.forEach(line => console.log(line));
+  await ask(chalk.dim(t('\nEnter zum Fortfahren...')));
+}
+
+// Zeiterfassung für die ausgewählte Aufgabe starten
+async function handleStartTimer() {
+  const taskIndex = getSelectedTaskIndex();
+  if (taskIndex === -1) {
+    console.log(chalk.red(t('Keine Aufgabe ausgewählt.')));
+    return;
+  }
+  const result = await startTimer(taskIndex);
+  if (result && !result.saved) {
+    console.log(chalk.yellow(t('   Zeiterfassung nur im lokalen Cache gespeichert')));
+  }
+}
+
+// Stundenzettel der aktuellen Liste anzeigen und auf Wunsch als CSV speichern
+async function handleShowTimesheet(rangeText) {
+  const range = parseTimesheetRange(rangeText);
+  if (!range) {
+    console.log(chalk.red(t('Ungültiger Zeitraum "{range}" ({hint})', { range: rangeText, hint: t(TIMESHEET_HINT) })));
+    return;
+  }
+
+  const sheet = getTimesheet(range);
+  console.log(chalk.blue(t('\n⏱ Stundenzettel: {list}, {from} bis {to}\n', { list: currentList, ...range })));
+  formatTimesheet(sheet).forEach(line => console.log(line));
+  if (sheet.sessions === 0) {
+    await ask(chalk.dim(t('\nEnter zum Fortfahren...')));
+    return;
+  }
+
+  const file = (await ask(chalk.dim(t('\nAls CSV speichern - Datei (Enter überspringt): ')))).trim();
+  if (file) {
+    const filePath = path.resolve(expandHome(file));
+    fs.writeFileSync(filePath, serializeTimesheet(sheet));
+    console.log(chalk.green(t('✓ Stundenzettel nach {path} geschrieben', { path: filePath })));
+  }
+}
+
+// Aufgaben der aktuellen Liste exportieren bzw. aus einer Datei importieren
+async function handleTransfer(command, args) {
+  const [formatArg = '', ...rest] = args;
+  const format = TRANSFER_FORMATS[formatArg.toLowerCase()];
+  const file = rest.join(' ').trim();
+  if (!format || !file) {
+    console.log(chalk.yellow(t('Verwendung: {command} <{formats}> <datei>', { command, formats: `csv|json|md|todo.txt${command === 'export' ? '|ics' : ''}` })));
+    return;
+  }
+
+  const filePath = path.resolve(expandHome(file));
+  if (command === 'export') {
+    fs.writeFileSync(filePath, serializeTasks(format, tasks));
+    console.log(chalk.green(t('✓ {count} Aufgaben nach {file} exportiert', { count: tasks.length, file: filePath })));
+    return;
+  }
+
+  let imported;
+  try {
+    imported = parseTasks(format, fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.log(chalk.red(t('✗ Import fehlgeschlagen: {message}', { message: error.message })));
+    return;
+  }
+  if (imported.length === 0) {
+    console.log(chalk.yellow(t('Keine Aufgaben in der Datei gefunden')));
+    return;
+  }
+
+  // Vorschau
+  const duplicates = findImportDuplicates(imported, tasks);
+  console.log(chalk.blue(t('\n📥 Import aus {file} ({count} Aufgaben)', { file: filePath, count: imported.length })));
+  imported.slice(0, 15).forEach((task, index) => {
+    const marker = duplicates.has(index) ? chalk.yellow(t(' (Duplikat)')) : '';
+    console.log(`${formatTaskLine(task, index + 1)}${marker}`);
+  });
+  if (imported.length > 15) {
+    console.log(chalk.dim(t('   ... und {count} weitere', { count: imported.length - 15 })));
+  }
+
+  let skip = new Set();
+  if (duplicates.size > 0) {
+    const answer = (await ask(chalk.yellow(t('{count} Duplikate - (o)hne Duplikate, (a)lle importieren oder (n) abbrechen? [o]: ', { count: duplicates.size })))).trim().toLowerCase();
+    if (answer === 'n' || answer === 'c') {
+      console.log(chalk.yellow(t('Abgebrochen')));
+      return;
+    }
+    skip = answer === 'a' ? skip : duplicates;
+  } else if (!isYes(await ask(t('{count} Aufgaben importieren? (j/n): ', { count: imported.length })))) {
+    console.log(chalk.yellow(t('Abgebrochen')));
+    return;
+  }
+
+  const { added, skipped } = importTasks(imported, skip);
+  console.log(chalk.green(skipped > 0
+    ? t('✓ {added} Aufgaben importiert, {skipped} Duplikate übersprungen', { added, skipped })
+    : t('✓ {added} Aufgaben importiert', { added })));
+}
+
+// Gespeicherte Ansichten (benannte Filter) anzeigen, anwenden und verwalten
+function handleViewCommand(args) {
+  const [action = '', ...rest] = args;
+  const name = rest.join(' ').trim();
+  const views = config.views || {};
+
+  switch (action.toLowerCase()) {
+    case '':
+      console.log(chalk.blue(t('\n👁  Gespeicherte Ansichten')));
+      if (Object.keys(views).length === 0) {
+        console.log(chalk.dim(t('  Keine - mit "view save <name>" den aktuellen Filter speichern')));
+      }
+      for (const [viewName, viewQuery] of Object.entries(views)) {
+        console.log(`  ${viewName.padEnd(15)} ${chalk.dim(viewQuery)}`);
+      }
+      break;
+
+    case 'save':
+      if (!name || !query) {
+        console.log(chalk.yellow(t('Verwendung: view save <name> (bei aktivem Filter)')));
+        break;
+      }
+      updateConfigFile(file => {
+        file.views = { ...file.views, [name]: query };
+      });
+      config.views = { ...views, [name]: query };
+      console.log(chalk.green(t('✓ Ansicht "{name}" gespeichert', { name })));
+      break;
+
+    case 'delete':
+    case 'rm':
+      if (!views[name]) {
+        console.log(chalk.red(t('Ansicht "{name}" nicht gefunden', { name })));
+        break;
+      }
+      updateConfigFile(file => {
+        delete file.views?.[name];
+      });
+      delete config.views[name];
+      console.log(chalk.green(t('✓ Ansicht "{name}" gelöscht', { name })));
+      break;
+
+    default: {
+      const viewName = args.join(' ');
+      if (!views[viewName]) {
+        console.log(chalk.red(t('Ansicht "{name}" nicht gefunden', { name: viewName })));
+        break;
+      }
+      query = views[viewName];
+      selectedIndex = 0;
+      console.log(chalk.green(t('✓ Ansicht "{name}": {query}', { name: viewName, query })));
+    }
+  }
+}
+
+// Sprache der Oberfläche anzeigen oder wechseln - die Auswahl wird in der Konfigurationsdatei gespeichert
+function handleLanguageCommand(code = '') {
+  const languages = getLanguages();
+  if (!code) {
+    console.log(t('Sprache: {language} (verfügbar: {languages})', { language, languages: languages.join(', ') }));
+    return;
+  }
+  if (!languages.includes(code.toLowerCase())) {
+    console.log(chalk.red(t('Unbekannte Sprache "{code}" (verfügbar: {languages})', { code, languages: languages.join(', ') })));
+    return;
+  }
+
+  config.language = setLanguage(code);
+  updateConfigFile(file => {
+    file.language = config.language;
+  });
+  console.log(chalk.green(t('✓ Sprache auf "{language}" umgestellt', { language })));
+}
+
+// Readline Interface initialisieren
+function initializeReadline() {
+  rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal: true
+  });
+  
+  // Graceful shutdown - bei ungespeicherten Änderungen wird die laufende Eingabe
+  // abgebrochen und mit einer neuen Eingabezeile nachgefragt. Eine offene Rückfrage
+  // (z.B. beim Bearbeiten) bricht nur das Kommando ab.
+  rl.on('SIGINT', async () => {
+    console.log();
+    rl.close();
+    initializeReadline();
+    if (pendingQuestion) {
+      const cancel = pendingQuestion;
+      pendingQuestion = null;
+      cancel(cancelledError());
+      return;
+    }
+    // Fehler nur melden - ein abgelehntes Promise würde das Programm ohne Meldung beenden
+    try {
+      await quitApp();
+    } catch (error) {
+      if (error.cancelled) {
+        console.log(chalk.yellow(error.message));
+      } else {
+        console.error(chalk.red(t('Fehler:')), error.message);
+      }
+    }
+    if (keyboardMode) {
+      rl.close();
+      rl = null;
+      resumeKeys();
+    } else {
+      renderCurrentView();
+      showPrompt();
+    }
+  });
+}
+
+// Statusmeldungen beim Verbinden, Laden und Speichern. Außerhalb der interaktiven Oberfläche
+// gehen sie nach stderr, damit stdout nur das Ergebnis eines Kommandos enthält.
+function logStatus(...values) {
+  if (interactive) {
+    console.log(...values);
+  } else {
+    console.error(...values);
+  }
+}
+
+// Ergebnis im Kommandozeilen-Modus ausgeben
+function output(text) {
+  process.stdout.write(`${text}\n`);
+}
+
+// Hilfe für den Kommandozeilen-Modus
+function showCliUsage() {
+  output(t(`Verwendung: tododos [kommando] [optionen]
+
+Ohne Kommando startet die interaktive Oberfläche.
+
+Kommandos:
+  lists                                      Listen (Arbeitsblätter) anzeigen
+  list [filter] [--status s] [--prio p] [--tag t]
+                                             Aufgaben auflisten, z.B. list prio:hoch sort:due
+  agenda                                     Offene Aufgaben nach Fälligkeit gruppiert
+  board [filter]                             Aufgaben als Spalten je Status (Kanban)
+  stats [--weeks n]                          Statistik: erledigt pro Tag/Woche, nach Priorität und Schlagwort, Burndown
+  timesheet [zeitraum] [--csv]               Stundenzettel nach Aufgabe, Schlagwort und Datum (Standard: laufender Monat),
+                                             z.B. timesheet letzte woche, timesheet 1.10. bis 15.10.
+  show <nr|id>                               Aufgabe anzeigen
+  export <format> [datei]                    Exportieren (csv, json, md, todo.txt, ics), ohne Datei nach stdout
+  import <format> <datei>                    Importieren, Duplikate werden übersprungen
+  add <titel> [--prio p] [--due datum] [--tags a,b] [--recur regel] [--note text]
+              [--parent nr|id] [--blocked-by nr,...]
+                                             Aufgabe hinzufügen
+  edit <nr|id> [--title t] [--prio p] [--due datum|keine] [--tags a,b|keine]
+               [--recur regel|keine] [--note text|keine] [--blocked-by nr,...|keine]
+                                             Aufgabe bearbeiten
+  done <nr|id>                               Als erledigt markieren
+  reopen <nr|id>                             Wieder öffnen
+  status <nr|id> <status>                    Status setzen, z.B. status 4 "in Arbeit"
+  delete <nr|id>                             Aufgabe löschen
+  start <nr|id>                              Zeiterfassung starten (beendet einen laufenden Timer)
+  stop                                       Laufende Zeiterfassung beenden
+  config                                     Aktive Konfiguration anzeigen
+  serve [--port n] [--host h] [--token t]    Lokale HTTP/JSON-API starten (Standard: 127.0.0.1:8080)
+  migrate <von> <nach> [--force]             Alle Listen in einen anderen Speicher kopieren,
+                                             z.B. migrate sheets json:~/tododos.json
+
+Optionen:
+  --json                                     Ausgabe als JSON
+  --profile <name>                           Profil aus der Konfigurationsdatei (TODODOS_PROFILE)
+  --storage <sheets|json|sqlite>             Speicher für die Aufgaben (TODODOS_STORAGE)
+  --file <datei>                             JSON-Datei bzw. SQLite-Datenbank (TODODOS_FILE)
+  --sheet <id>                               Google Sheet ID (TODODOS_SHEET)
+  --credentials <datei>                      Service Account credentials.json (TODODOS_CREDENTIALS)
+  --config <datei>                           Konfigurationsdatei (TODODOS_CONFIG)
+  --list <name>                              Liste bzw. Arbeitsblatt (TODODOS_LIST)
+  --ics <datei>                              Kalenderdatei bei jedem Speichern schreiben (TODODOS_ICS)
+  --lang <de|en>                             Sprache der Ausgaben (TODODOS_LANG)
+
+Exit-Codes: {ok} = OK, {error} = Fehler, {usage} = ungültiger Aufruf, {offline} = nur lokal gespeichert`, {
+    ok: EXIT_OK,
+    error: EXIT_ERROR,
+    usage: EXIT_USAGE,
+    offline: EXIT_OFFLINE,
+  }));
+}
+
+// Aufgabe über Listennummer oder ID finden (-1, falls nicht vorhanden)
+function findTaskIndex(ref) {
+  const byId = tasks.findIndex(task => task.id === ref);
+  if (byId !== -1) {
+    return byId;
   }
+  const number = /^\d+$/.test(ref) ? parseInt(ref) - 1 : -1;
+  return number >= 0 && number < tasks.length ? number : -1;
 }
 
-// Aufgabe hinzufügen
-async function handleAddTask() {
-  return new Promise(async (resolve) => {
-    console.log(chalk.blue('\n📝 Neue Aufgabe hinzufügen'));
-    
-    // Titel abfragen
-    rl.question('Titel: ', async (title) => {
-      if (!title.trim()) {
-        console.log(chalk.yellow('Abgebrochen - kein Titel eingegeben'));
-        resolve();
-        return;
+// Option --blocked-by bzw. Feld "blockedBy" der API lesen: Nummern wie bei "list" oder IDs,
+// auch als Array. Wirft bei unbekannten Aufgaben oder Zyklen.
+function parseBlockedByOption(value, taskId = '') {
+  const text = Array.isArray(value) ? value.join(',') : String(value);
+  return parseBlockers(text, taskId, tasks.map((_, index) => index));
+}
+
+// Aufgaben mit Nummer für "list" und die API: Filter-Syntax wie bei "search",
+// zusätzlich einzelne Filter für Status, Priorität und Schlagwort
+function listTasks(queryString = '', { status, prio, tag } = {}) {
+  return filterTasks(tasks, queryString)
+    .map(index => ({ nr: index + 1, ...tasks[index] }))
+    .filter(task => !status || task.status === parseStatus(status))
+    .filter(task => !prio || task.priority === parsePriority(prio))
+    .filter(task => !tag || task.tags.includes(tag));
+}
+
+// Optionen --prio, --due und --tags in Aufgabenfelder umwandeln
+function parseTaskOptions(options) {
+  const fields = {};
+
+  if (options.title !== undefined) {
+    if (!options.title.trim()) {
+      throw new Error(t('Titel darf nicht leer sein'));
+    }
+    fields.title = options.title.trim();
+  }
+  if (options.prio !== undefined) {
+    const priority = parsePriority(options.prio);
+    if (!priority) {
+      throw new Error(t('Ungültige Priorität "{priority}" ({priorities})', { priority: options.prio, priorities: PRIORITIES.map(priorityLabel).join('/') }));
+    }
+    fields.priority = priority;
+  }
+  if (options.due !== undefined) {
+    const due = options.due.trim();
+    if (due === '' || isNone(due)) {
+      fields.dueDate = '';
+    } else if (parseDueDate(due)) {
+      fields.dueDate = parseDueDate(due);
+    } else {
+      throw new Error(t('Ungültiges Datum "{date}" ({hint})', { date: options.due, hint: t(DUE_DATE_HINT) }));
+    }
+  }
+  if (options.tags !== undefined) {
+    fields.tags = isNone(options.tags)
+      ? []
+      : options.tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+  }
+  if (options.recur !== undefined) {
+    const recur = options.recur.trim();
+    if (recur === '' || isNone(recur)) {
+      fields.recur = '';
+    } else {
+      const rule = parseRecurrence(recur);
+      if (!rule) {
+        throw new Error(t('Ungültige Wiederholung "{recur}" ({hint})', { recur: options.recur, hint: t(RECURRENCE_HINT) }));
       }
+      fields.recur = formatRecurrence(rule);
+    }
+  }
+  if (options.note !== undefined) {
+    fields.notes = isNone(options.note) ? '' : options.note.trim();
+  }
 
-      // Priorität abfragen
-      rl.question('Priorität [normal/hoch/niedrig] (Enter für normal): ', async (priority) => {
-        const validPriorities = ['normal', 'hoch', 'niedrig'];
-        const taskPriority = priority.trim().toLowerCase() || 'normal';
-        
-        if (!validPriorities.includes(taskPriority)) {
-          console.log(chalk.yellow(`Ungültige Priorität "${priority}" - verwende "normal"`));
-        }
-
-        // Fälligkeit abfragen
-        rl.question('Fälligkeit [YYYY-MM-DD oder DD.MM.YYYY] (Enter für keine): ', async (dueDate) => {
-          let formattedDate = '';
-          
-          if (dueDate.trim()) {
-            // Formatiere verschiedene Datumsformate
-            const dateStr = dueDate.trim();
-            let parsedDate = null;
-            
-            // Versuche verschiedene Formate zu parsen
-            if (dateStr.match(/^\d{4}-\d{2}-\d{2}$/)) {
-              // YYYY-MM-DD Format
-              parsedDate = new Date(dateStr);
-            } else if (dateStr.match(/^\d{1,2}\.\d{1,2}\.\d{4}$/)) {
-              // DD.MM.YYYY Format
-              const [day, month, year] = dateStr.split('.');
-              parsedDate = new Date(year, month - 1, day);
-            } else if (dateStr.match(/^\d{1,2}\.\d{1,2}$/)) {
-              // DD.MM Format (aktuelles Jahr)
-              const [day, month] = dateStr.split('.');
-              const currentYear = new Date().getFullYear();
-              parsedDate = new Date(currentYear, month - 1, day);
-            }
-            
-            if (parsedDate && !isNaN(parsedDate.getTime())) {
-              formattedDate = parsedDate.toISOString().split('T')[0]; // YYYY-MM-DD
-            } else {
-              console.log(chalk.yellow(`Ungültiges Datum "${dateStr}" - wird ignoriert`));
-            }
-          }
+  return fields;
+}
 
-          // Tags abfragen
-          rl.question('Tags [komma,getrennt] (Enter für keine): ', (tags) => {
-            const taskTags = tags.trim() 
-              ? tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0)
-              : [];
-
-            // Aufgabe erstellen
-            addTask(title.trim(), validPriorities.includes(taskPriority) ? taskPriority : 'normal', formattedDate, taskTags);
-            
-            console.log(chalk.green(`✓ Aufgabe "${title.trim()}" hinzugefügt`));
-            
-            if (taskPriority !== 'normal') {
-              console.log(chalk.dim(`   Priorität: ${taskPriority}`));
-            }
-            if (formattedDate) {
-              console.log(chalk.dim(`   Fälligkeit: ${formattedDate}`));
-            }
-            if (taskTags.length > 0) {
-              console.log(chalk.dim(`   Tags: ${taskTags.join(', ')}`));
-            }
-            
-            resolve();
-          });
-        });
-      });
-    });
+// Kommandozeile auswerten (wirft bei unbekannten Optionen). Relative Angaben in die Vergangenheit
+// wie "-1w" sind Werte und keine Optionen, damit z.B. "timesheet -1w bis heute" ohne "--" geht;
+// sie werden dafür vor parseArgs maskiert.
+function parseCommandLine(argv) {
+  const mask = '\0';
+  const unmask = value => typeof value === 'string' && value.startsWith(mask) ? value.slice(mask.length) : value;
+  const { values, positionals } = parseArgs({
+    args: argv.map(arg => /^-\d+[dtwm]$/i.test(arg) ? mask + arg : arg),
+    allowPositionals: true,
+    options: {
+      // Allgemein
+      profile: { type: 'string' },
+      sheet: { type: 'string' },
+      credentials: { type: 'string' },
+      config: { type: 'string' },
+      list: { type: 'string' },
+      ics: { type: 'string' },
+      lang: { type: 'string' },
+      storage: { type: 'string' },
+      file: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+      // Kommandos
+      json: { type: 'boolean' },
+      title: { type: 'string' },
+      prio: { type: 'string' },
+      due: { type: 'string' },
+      tags: { type: 'string' },
+      recur: { type: 'string' },
+      note: { type: 'string' },
+      parent: { type: 'string' },
+      'blocked-by': { type: 'string' },
+      tag: { type: 'string' },
+      status: { type: 'string' },
+      weeks: { type: 'string' },
+      csv: { type: 'boolean' },
+      port: { type: 'string' },
+      host: { type: 'string' },
+      token: { type: 'string' },
+      force: { type: 'boolean' },
+    },
   });
+  return {
+    values: Object.fromEntries(Object.entries(values).map(([key, value]) => [key, unmask(value)])),
+    positionals: positionals.map(unmask),
+  };
 }
 
-// Aufgabe löschen
-function handleDeleteTask() {
-  if (tasks.length === 0) {
-    console.log(chalk.yellow('Keine Aufgaben zum Löschen vorhanden'));
-    return;
+// Einzelnes Kommando ohne interaktive Oberfläche ausführen
+async function runCli(positionals, options) {
+  const [command, ...args] = positionals;
+
+  if (options.help || command === 'help') {
+    showCliUsage();
+    return EXIT_OK;
   }
-  
-  if (selectedIndex >= 0 && selectedIndex < tasks.length) {
-    const task = tasks[selectedIndex];
-    deleteTask(selectedIndex);
-    selectedIndex = Math.min(selectedIndex, tasks.length - 1);
-    console.log(chalk.green(`✓ Aufgabe "${task.title}" gelöscht`));
+
+  if (command === 'config') {
+    const { profileNames, ...effective } = config;
+    if (options.json) {
+      output(JSON.stringify({ ...effective, profiles: profileNames }, null, 2));
+    } else {
+      output(t('Konfigurationsdatei: {value}', { value: config.configPath }));
+      output(t('Profil:              {value} (verfügbar: {profiles})', { value: config.profile, profiles: ['default', ...profileNames].join(', ') }));
+      output(t('Speicher:            {value}', { value: describeStorage() }));
+      output(t('Sheet-ID:            {value}', { value: config.spreadsheetId || t('(nicht gesetzt)') }));
+      output(t('Liste:               {value}', { value: config.list || t('(zuletzt verwendete)') }));
+      output(t('Credentials:         {value}', { value: config.credentialsPath }));
+      output(t('Kalenderdatei:       {value}', {
+        value: config.icsPath ? `${config.icsPath} (${config.icsType === 'event' ? t('Termine') : t('Aufgaben')})` : t('(keine)'),
+      }));
+      output(t('Sprache:             {value} (verfügbar: {languages})', { value: config.language, languages: getLanguages().join(', ') }));
+      output(t('Status:              {value}', { value: getStatuses().map(statusLabel).join(' → ') }));
+      output(t('Cache:               {value}', { value: config.cachePath }));
+    }
+    return EXIT_OK;
   }
-}
 
-// Aufgabe bearbeiten
-async function handleEditTask() {
-  if (tasks.length === 0 || selectedIndex >= tasks.length) {
-    console.log(chalk.yellow('Keine Aufgabe zum Bearbeiten ausgewählt'));
-    return;
+  if (command === 'migrate') {
+    return migrateStorage(args[0], args[1], options);
   }
-  
-  const task = tasks[selectedIndex];
-  return new Promise(async (resolve) => {
-    console.log(chalk.blue(`\n✏️  Aufgabe bearbeiten: "${task.title}"`));
-    console.log(chalk.dim('(Enter lässt Wert unverändert)\n'));
-    
-    // Titel bearbeiten
-    rl.question(`Titel [${task.title}]: `, async (newTitle) => {
-      if (newTitle.trim()) {
-        task.title = newTitle.trim();
-      }
-
-      // Priorität bearbeiten
-      rl.question(`Priorität [${task.priority}] (normal/hoch/niedrig): `, async (newPriority) => {
-        const validPriorities = ['normal', 'hoch', 'niedrig'];
-        if (newPriority.trim() && validPriorities.includes(newPriority.trim().toLowerCase())) {
-          task.priority = newPriority.trim().toLowerCase();
-        }
-
-        // Fälligkeit bearbeiten
-        const currentDue = task.dueDate || 'keine';
-        rl.question(`Fälligkeit [${currentDue}] (YYYY-MM-DD, DD.MM.YYYY oder 'keine'): `, async (newDueDate) => {
-          if (newDueDate.trim()) {
-            if (newDueDate.trim().toLowerCase() === 'keine') {
-              task.dueDate = '';
-            } else {
-              const dateStr = newDueDate.trim();
-              let parsedDate = null;
-              
-              if (dateStr.match(/^\d{4}-\d{2}-\d{2}$/)) {
-                parsedDate = new Date(dateStr);
-              } else if (dateStr.match(/^\d{1,2}\.\d{1,2}\.\d{4}$/)) {
-                const [day, month, year] = dateStr.split('.');
-                parsedDate = new Date(year, month - 1, day);
-              } else if (dateStr.match(/^\d{1,2}\.\d{1,2}$/)) {
-                const [day, month] = dateStr.split('.');
-                const currentYear = new Date().getFullYear();
-                parsedDate = new Date(currentYear, month - 1, day);
-              }
-              
-              if (parsedDate && !isNaN(parsedDate.getTime())) {
-                task.dueDate = parsedDate.toISOString().split('T')[0];
-              } else {
-                console.log(chalk.yellow(`Ungültiges Datum "${dateStr}" - nicht geändert`));
-              }
-            }
-          }
 
-          // Tags bearbeiten
-          const currentTags = task.tags.length > 0 ? task.tags.join(', ') : 'keine';
-          rl.question(`Tags [${currentTags}] (komma,getrennt oder 'keine'): `, (newTags) => {
-            if (newTags.trim()) {
-              if (newTags.trim().toLowerCase() === 'keine') {
-                task.tags = [];
-              } else {
-                task.tags = newTags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
-              }
-            }
+  const knownCommands = ['serve', 'list', 'lists', 'agenda', 'board', 'stats', 'timesheet', 'show', 'export', 'import', 'add', 'edit', 'done', 'reopen', 'status', 'delete', 'start', 'stop'];
+  if (!knownCommands.includes(command)) {
+    console.error(chalk.red(t('✗ Unbekanntes Kommando: "{command}"', { command })));
+    console.error(chalk.dim(t('   "tododos help" zeigt alle Kommandos')));
+    return EXIT_USAGE;
+  }
 
-            console.log(chalk.green(`✓ Aufgabe "${task.title}" aktualisiert`));
-            resolve();
-          });
-        });
+  let fields;
+  try {
+    fields = parseTaskOptions(options);
+  } catch (error) {
+    console.error(chalk.red(`✗ ${error.message}`));
+    return EXIT_USAGE;
+  }
+
+  const connected = await connectStorage();
+  initCurrentList();
+  if (connected) {
+    try {
+      restoreCache();
+    } catch (error) {
+      console.error(chalk.red(t('✗ Fehler beim Lesen des lokalen Caches:')));
+      console.error(chalk.dim(`   ${error.message}`));
+    }
+    await loadTasks();
+  } else {
+    loadCachedTasks();
+  }
+
+  if (command === 'serve') {
+    return startServer();
+  }
+
+  // Lesende Kommandos
+  if (command === 'lists') {
+    const names = getListNames();
+    if (options.json) {
+      output(JSON.stringify(names.map(name => ({ name, current: name === currentList })), null, 2));
+    } else {
+      names.forEach(name => output(`${name === currentList ? '*' : ' '} ${name}`));
+    }
+    return EXIT_OK;
+  }
+
+  if (command === 'board') {
+    const queryString = args.join(' ');
+    const { errors } = parseQuery(queryString);
+    if (errors.length > 0) {
+      errors.forEach(error => console.error(chalk.red(`✗ ${error}`)));
+      return EXIT_USAGE;
+    }
+    const columns = getBoardColumns(filterTasks(tasks, queryString));
+    if (options.json) {
+      output(JSON.stringify(columns.map(({ status, indices }) => ({
+        status,
+        tasks: indices.map(index => ({ nr: index + 1, ...tasks[index] })),
+      })), null, 2));
+    } else {
+      formatBoard(columns, { width: process.stdout.columns || 100 }).forEach(line => output(line));
+    }
+    return EXIT_OK;
+  }
+
+  if (command === 'agenda') {
+    const groups = getAgendaGroups(tasks);
+    if (options.json) {
+      output(JSON.stringify(groups.map(({ label, indices }) => ({
+        label,
+        tasks: indices.map(index => ({ nr: index + 1, ...tasks[index] })),
+      })), null, 2));
+    } else {
+      groups.filter(({ indices }) => indices.length > 0).forEach(({ label, indices }) => {
+        output(`${label}:`);
+        indices.forEach(index => output(formatTaskLine(tasks[index], index + 1)));
       });
+    }
+    return EXIT_OK;
+  }
+
+  if (command === 'stats') {
+    const weeks = options.weeks ? Number(options.weeks) : 4;
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > 52) {
+      console.error(chalk.red(t('✗ Ungültige Anzahl Wochen "{weeks}" (1-52)', { weeks: options.weeks })));
+      return EXIT_USAGE;
+    }
+    const stats = getStats(tasks, weeks);
+    if (options.json) {
+      output(JSON.stringify(stats, null, 2));
+    } else {
+      formatStats(stats).forEach(line => output(line));
+    }
+    return EXIT_OK;
+  }
+
+  if (command === 'timesheet') {
+    const range = parseTimesheetRange(args.join(' '));
+    if (!range) {
+      console.error(chalk.red(t('✗ Ungültiger Zeitraum "{range}" ({hint})', { range: args.join(' '), hint: t(TIMESHEET_HINT) })));
+      return EXIT_USAGE;
+    }
+    const sheet = getTimesheet(range);
+    if (options.csv) {
+      process.stdout.write(serializeTimesheet(sheet));
+    } else if (options.json) {
+      output(JSON.stringify(sheet, null, 2));
+    } else {
+      output(t('Stundenzettel: {list}, {from} bis {to}', { list: currentList, ...range }));
+      formatTimesheet(sheet).forEach(line => output(line));
+    }
+    return EXIT_OK;
+  }
+
+  if (command === 'stop') {
+    const result = await stopTimer();
+    if (!result) {
+      return EXIT_ERROR;
+    }
+    if (options.json) {
+      output(JSON.stringify({ command, ...result }, null, 2));
+    } else {
+      output(`${result.session.title}: ${formatMinutes(Math.floor(sessionDuration(result.session) / 60000))}`);
+    }
+    return result.saved ? EXIT_OK : storage ? EXIT_ERROR : EXIT_OFFLINE;
+  }
+
+  if (command === 'list') {
+    const queryString = args.join(' ');
+    const { errors } = parseQuery(queryString);
+    if (errors.length > 0) {
+      errors.forEach(error => console.error(chalk.red(`✗ ${error}`)));
+      return EXIT_USAGE;
+    }
+
+    const listed = listTasks(queryString, options);
+
+    if (options.json) {
+      output(JSON.stringify(listed, null, 2));
+    } else {
+      listed.forEach(task => output(formatTaskLine(task, task.nr, { blocked: isBlocked(tasks, task.nr - 1) })));
+    }
+    return EXIT_OK;
+  }
+
+  if (command === 'export' || command === 'import') {
+    const format = TRANSFER_FORMATS[(args[0] || '').toLowerCase()];
+    if (!format || (command === 'import' && !args[1])) {
+      console.error(chalk.red(t(command === 'import' ? '✗ Verwendung: {command} <{formats}> <datei>' : '✗ Verwendung: {command} <{formats}> [datei]', {
+        command,
+        formats: `csv|json|md|todo.txt${command === 'export' ? '|ics' : ''}`,
+      })));
+      return EXIT_USAGE;
+    }
+
+    if (command === 'export') {
+      const text = serializeTasks(format, tasks);
+      if (args[1]) {
+        fs.writeFileSync(path.resolve(expandHome(args[1])), text);
+      } else {
+        process.stdout.write(text);
+      }
+      return EXIT_OK;
+    }
+
+    let imported;
+    try {
+      imported = parseTasks(format, fs.readFileSync(path.resolve(expandHome(args[1])), 'utf8'));
+    } catch (error) {
+      console.error(chalk.red(t('✗ Import fehlgeschlagen: {message}', { message: error.message })));
+      return EXIT_ERROR;
+    }
+    // Ohne Rückfrage werden Duplikate immer übersprungen
+    const { added, skipped } = importTasks(imported, findImportDuplicates(imported, tasks));
+    const saved = await saveTasks();
+    if (options.json) {
+      output(JSON.stringify({ command, saved, added, skipped }, null, 2));
+    } else {
+      output(t('Importiert: {added}, Duplikate übersprungen: {skipped}', { added, skipped }));
+    }
+    return saved ? EXIT_OK : online ? EXIT_ERROR : EXIT_OFFLINE;
+  }
+
+  let index = -1;
+  if (command !== 'add') {
+    if (!args[0]) {
+      console.error(chalk.red(t('✗ "{command}" erwartet eine Aufgabennummer oder ID', { command })));
+      return EXIT_USAGE;
+    }
+    index = findTaskIndex(args[0]);
+    if (index === -1) {
+      console.error(chalk.red(t('✗ Aufgabe "{ref}" nicht gefunden', { ref: args[0] })));
+      return EXIT_ERROR;
+    }
+  }
+
+  if (command === 'show') {
+    const task = tasks[index];
+    if (options.json) {
+      output(JSON.stringify({ nr: index + 1, ...task }, null, 2));
+    } else {
+      output(formatTaskLine(task, index + 1, { blocked: isBlocked(tasks, index) }));
+      output(`   ID: ${task.id} | Tags: ${task.tags.length > 0 ? task.tags.join(', ') : t('keine')}`);
+      if (task.recur) {
+        output(t('   Wiederholung: {value}', { value: recurrenceLabel(task.recur) }));
+      }
+      const blockers = getBlockerIds(task).map(id => tasks.find(item => item.id === id)).filter(Boolean);
+      if (blockers.length > 0) {
+        output(t('   Blockiert durch: {titles}', {
+          titles: blockers.map(item => (isDone(item) ? `${item.title} ✓` : item.title)).join(', '),
+        }));
+      }
+      if (task.createdAt) {
+        output(task.completedAt
+          ? t('   Erstellt: {created} | Erledigt am: {completed}', { created: task.createdAt, completed: task.completedAt })
+          : t('   Erstellt: {created}', { created: task.createdAt }));
+      }
+      if (task.notes) {
+        output(task.notes.split('\n').map(line => `   ${line}`).join('\n'));
+      }
+    }
+    return EXIT_OK;
+  }
+
+  if (command === 'start') {
+    const result = await startTimer(index);
+    if (!result) {
+      return EXIT_ERROR;
+    }
+    if (options.json) {
+      output(JSON.stringify({ command, ...result }, null, 2));
+    } else {
+      output(t('{title}: gestartet um {start}', { title: result.session.title, start: result.session.start }));
+    }
+    return result.saved ? EXIT_OK : storage ? EXIT_ERROR : EXIT_OFFLINE;
+  }
+
+  // Schreibende Kommandos
+  if (command === 'add') {
+    const title = args.join(' ').trim();
+    if (!title) {
+      console.error(chalk.red(t('✗ "add" erwartet einen Titel')));
+      return EXIT_USAGE;
+    }
+    let parent = '';
+    if (options.parent) {
+      const parentIndex = findTaskIndex(options.parent);
+      if (parentIndex === -1) {
+        console.error(chalk.red(t('✗ Elternaufgabe "{ref}" nicht gefunden', { ref: options.parent })));
+        return EXIT_ERROR;
+      }
+      parent = tasks[parentIndex].id;
+    }
+    let blockedBy = '';
+    if (options['blocked-by'] !== undefined) {
+      try {
+        blockedBy = parseBlockedByOption(options['blocked-by']);
+      } catch (error) {
+        console.error(chalk.red(`✗ ${error.message}`));
+        return EXIT_ERROR;
+      }
+    }
+    const task = addTask(title, fields.priority, fields.dueDate, fields.tags, { parent, blockedBy, recur: fields.recur || '', notes: fields.notes || '' });
+    index = tasks.indexOf(task);
+  } else if (command === 'edit') {
+    if (options['blocked-by'] !== undefined) {
+      try {
+        fields.blockedBy = parseBlockedByOption(options['blocked-by'], tasks[index].id);
+      } catch (error) {
+        console.error(chalk.red(`✗ ${error.message}`));
+        return EXIT_ERROR;
+      }
+    }
+    if (Object.keys(fields).length === 0) {
+      console.error(chalk.red(t('✗ "edit" erwartet mindestens eine Option (--title, --prio, --due, --tags, --recur, --note, --blocked-by)')));
+      return EXIT_USAGE;
+    }
+    editTask(index, fields);
+  } else if (command === 'done' || command === 'reopen' || command === 'status') {
+    const wanted = command === 'done' ? doneStatus() : command === 'reopen' ? initialStatus() : parseStatus(args.slice(1).join(' '));
+    if (!wanted) {
+      console.error(chalk.red(t('✗ Ungültiger Status "{status}" ({statuses})', { status: args.slice(1).join(' '), statuses: getStatuses().map(statusLabel).join('/') })));
+      return EXIT_USAGE;
+    }
+    if (tasks[index].status !== wanted) {
+      setTaskStatus(index, wanted);
+    }
+  }
+
+  const task = tasks[index];
+  if (command === 'delete') {
+    deleteTask(index);
+  }
+
+  const saved = await saveTasks();
+  const result = { nr: command === 'delete' ? null : tasks.findIndex(item => item.id === task.id) + 1, ...task };
+
+  if (options.json) {
+    output(JSON.stringify({ command, saved, task: result }, null, 2));
+  } else if (command === 'delete') {
+    output(t('Gelöscht: {title}', { title: task.title }));
+  } else {
+    output(formatTaskLine(result, result.nr));
+  }
+
+  if (saved) {
+    return EXIT_OK;
+  }
+  return online ? EXIT_ERROR : EXIT_OFFLINE;
+}
+
+// Speicher für "migrate" aus einer Angabe wie sheets[:<sheet-id>], json[:<datei>] oder
+// sqlite[:<datei>] lesen. Ohne Angabe gelten Sheet-ID bzw. Datei aus der Konfiguration,
+// sonst die Standarddatei des Profils. null bei unbekanntem Speicher.
+function parseStorageSpec(spec = '') {
+  const [type, ...rest] = spec.split(':');
+  const value = rest.join(':');
+  if (!STORAGE_TYPES.includes(type)) {
+    return null;
+  }
+  if (type === 'sheets') {
+    return { storage: type, spreadsheetId: value || config.spreadsheetId, credentialsPath: config.credentialsPath };
+  }
+  const storagePath = value
+    ? path.resolve(expandHome(value))
+    : type === config.storage
+      ? config.storagePath
+      : defaultStoragePath(type, path.dirname(config.configPath), config.profile);
+  return { storage: type, storagePath };
+}
+
+// Alle Listen mit allen Aufgaben und die Zeiterfassung von einem Speicher in einen anderen kopieren
+// ("tododos migrate"). Listen, die im Ziel bereits Aufgaben enthalten, werden nur mit --force
+// überschrieben, vorhandene Sitzungen der Zeiterfassung werden anhand der ID aktualisiert.
+async function migrateStorage(fromSpec, toSpec, { force = false } = {}) {
+  const from = parseStorageSpec(fromSpec);
+  const to = parseStorageSpec(toSpec);
+  if (!from || !to) {
+    console.error(chalk.red(t('✗ Verwendung: migrate <von> <nach> [--force], z.B. migrate sheets json:~/tododos.json')));
+    console.error(chalk.dim(t('   Speicher: sheets[:<sheet-id>], json[:<datei>], sqlite[:<datei>]')));
+    return EXIT_USAGE;
+  }
+  if (from.storage === to.storage && from.storagePath === to.storagePath && from.spreadsheetId === to.spreadsheetId) {
+    console.error(chalk.red(t('✗ Quelle und Ziel sind derselbe Speicher')));
+    return EXIT_USAGE;
+  }
+
+  // Offline-Änderungen liegen nur im lokalen Cache und werden nicht mitkopiert
+  if (from.storage === config.storage) {
+    let pending = 0;
+    try {
+      const cache = readCache();
+      for (const name of Object.keys(cache?.lists || {})) {
+        pending += readCachedList(cache, name).pendingChanges.length;
+      }
+    } catch (error) {
+      // Ohne lesbaren Cache keine Warnung
+    }
+    if (pending > 0) {
+      logStatus(chalk.yellow(t('⚠ {count} Änderungen aus dem lokalen Cache werden nicht kopiert - vorher "save" ausführen', { count: pending })));
+    }
+  }
+
+  const source = createStorage(from);
+  const target = createStorage(to);
+  if (!(await source.connect()) || !(await target.connect())) {
+    return EXIT_ERROR;
+  }
+
+  try {
+    const listNames = source.listNames();
+    const targetNames = target.listNames();
+    const occupied = [];
+    for (const name of listNames.filter(name => targetNames.includes(name))) {
+      if ((await target.readList(name)).length > 0) {
+        occupied.push(name);
+      }
+    }
+    if (occupied.length > 0 && !force) {
+      console.error(chalk.red(t('✗ Im Ziel enthalten diese Listen bereits Aufgaben: {lists}', { lists: occupied.join(', ') })));
+      console.error(chalk.dim(t('   Mit --force werden sie überschrieben')));
+      return EXIT_ERROR;
+    }
+
+    let count = 0;
+    for (const name of listNames) {
+      const listTasks = await source.readList(name);
+      if (!targetNames.includes(name)) {
+        await target.createList(name);
+      }
+      await target.writeList(name, listTasks);
+      count += listTasks.length;
+      logStatus(t('   Liste "{list}": {count} Aufgaben', { list: name, count: listTasks.length }));
+    }
+    const copiedSessions = await source.readSessions();
+    if (copiedSessions.length > 0) {
+      await target.saveSessions(copiedSessions);
+      logStatus(t('   Zeiterfassung: {count} Sitzungen', { count: copiedSessions.length }));
+    }
+
+    logStatus(chalk.green(t('✓ {count} Aufgaben in {lists} Listen von {from} nach {to} kopiert', {
+      count,
+      lists: listNames.length,
+      from: describeStorage(from),
+      to: describeStorage(to),
+    })));
+    return EXIT_OK;
+  } catch (error) {
+    console.error(chalk.red(t('✗ Migration fehlgeschlagen: {message}', { message: error.message })));
+    return EXIT_ERROR;
+  }
+}
+
+// Nach so vielen Sekunden wird die Liste vor der nächsten Anfrage neu geladen,
+// damit Änderungen aus der App oder dem Speicher ankommen
+const SERVE_RELOAD_SECONDS = 10;
+// Maximale Größe eines Anfragekörpers
+const SERVE_MAX_BODY = 1024 * 1024;
+
+// Fehler einer API-Anfrage mit HTTP-Status
+function apiError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Anfragekörper als JSON lesen (leerer Körper ergibt {})
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > SERVE_MAX_BODY) {
+        reject(apiError(413, t('Anfrage zu groß')));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      try {
+        const body = text ? JSON.parse(text) : {};
+        if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+          throw new Error(t('JSON-Objekt erwartet'));
+        }
+        resolve(body);
+      } catch (error) {
+        reject(apiError(400, t('Ungültiges JSON: {message}', { message: error.message })));
+      }
     });
+    request.on('error', reject);
   });
 }
 
-// Aufgabe als erledigt markieren
-function handleToggleTask() {
-  if (tasks.length === 0 || selectedIndex >= tasks.length) {
-    console.log(chalk.yellow('Keine Aufgabe zum Umschalten ausgewählt'));
-    return;
+// Felder aus einem Anfragekörper in Aufgabenfelder umwandeln - gleiche Prüfung wie bei
+// den Optionen der Kommandozeile, Tags und blockedBy auch als Array
+function parseTaskBody(body, taskId = '') {
+  const text = value => (value === undefined || value === null ? undefined : String(value));
+  try {
+    const fields = parseTaskOptions({
+      title: text(body.title),
+      prio: text(body.priority ?? body.prio),
+      due: text(body.dueDate ?? body.due),
+      tags: Array.isArray(body.tags) ? body.tags.join(',') : text(body.tags),
+      recur: text(body.recur),
+      note: text(body.notes ?? body.note),
+    });
+    if (body.blockedBy !== undefined && body.blockedBy !== null) {
+      fields.blockedBy = parseBlockedByOption(body.blockedBy, taskId);
+    }
+    return fields;
+  } catch (error) {
+    throw apiError(400, error.message);
   }
-  
-  const task = tasks[selectedIndex];
-  completeTask(selectedIndex);
-  const newStatus = task.status === 'erledigt' ? 'offen' : 'erledigt';
-  console.log(chalk.green(`✓ Aufgabe "${task.title}" als ${task.status} markiert`));
 }
 
-// Suche durchführen
-async function handleSearch() {
-  return new Promise((resolve) => {
-    console.log(chalk.blue('\n🔍 Suche'));
-    console.log(chalk.dim('Aktuelle Suche: ' + (searchTerm || 'keine')));
-    rl.question('Suchbegriff (Enter für löschen): ', (term) => {
-      searchTerm = term.trim();
-      if (searchTerm) {
-        console.log(chalk.green(`✓ Suche nach "${searchTerm}"`));
-      } else {
-        console.log(chalk.green('✓ Suche gelöscht'));
+// Aufgabe über Nummer oder ID finden, sonst 404
+function findApiTask(ref) {
+  const index = findTaskIndex(decodeURIComponent(ref));
+  if (index === -1) {
+    throw apiError(404, t('Aufgabe "{ref}" nicht gefunden', { ref: decodeURIComponent(ref) }));
+  }
+  return index;
+}
+
+// Aufgabe mit aktueller Nummer für Antworten
+function taskResult(task) {
+  return { nr: tasks.findIndex(item => item.id === task.id) + 1, ...task };
+}
+
+// Eine API-Anfrage auf die aktuelle Liste anwenden. Schreibende Anfragen werden sofort
+// gespeichert; "saved" ist false, wenn die Änderung nur im lokalen Cache liegt.
+async function handleApiRequest(method, segments, params, body) {
+  const [resource, ref, action] = segments;
+
+  if (resource === 'lists' && !ref && method === 'GET') {
+    return { status: 200, body: getListNames().map(name => ({ name, current: name === currentList })) };
+  }
+  if (resource !== 'tasks') {
+    throw apiError(404, t('Unbekannter Pfad'));
+  }
+
+  // Lesende Anfragen
+  if (method === 'GET' && !ref) {
+    const queryString = params.get('q') || '';
+    const { errors } = parseQuery(queryString);
+    if (errors.length > 0) {
+      throw apiError(400, errors.join('; '));
+    }
+    const filters = { status: params.get('status'), prio: params.get('prio'), tag: params.get('tag') };
+    return { status: 200, body: listTasks(queryString, filters) };
+  }
+  if (method === 'GET' && !action) {
+    return { status: 200, body: taskResult(tasks[findApiTask(ref)]) };
+  }
+
+  // Schreibende Anfragen
+  let status = 200;
+  let result;
+  const wanted = body.status === undefined ? null : parseStatus(body.status);
+  if (body.status !== undefined && !wanted) {
+    throw apiError(400, t('Ungültiger Status "{status}" ({statuses})', { status: body.status, statuses: getStatuses().map(statusLabel).join('/') }));
+  }
+  if (method === 'POST' && !ref) {
+    const fields = parseTaskBody(body);
+    if (!fields.title) {
+      throw apiError(400, t('"title" fehlt'));
+    }
+    let parent = '';
+    if (body.parent) {
+      parent = tasks[findApiTask(String(body.parent))].id;
+    }
+    const task = addTask(fields.title, fields.priority, fields.dueDate, fields.tags, {
+      parent,
+      blockedBy: fields.blockedBy || '',
+      recur: fields.recur || '',
+      notes: fields.notes || '',
+    });
+    if (wanted && wanted !== task.status) {
+      setTaskStatus(tasks.indexOf(task), wanted);
+    }
+    status = 201;
+    result = { task: taskResult(tasks.find(item => item.id === task.id)) };
+  } else if (method === 'PATCH' && !action) {
+    const index = findApiTask(ref);
+    const fields = parseTaskBody(body, tasks[index].id);
+    const task = tasks[index];
+    recordBatch(t('Bearbeiten von "{title}"', { title: task.title }), () => {
+      if (Object.keys(fields).length > 0) {
+        editTask(index, fields);
+      }
+      if (wanted && tasks[index].status !== wanted) {
+        setTaskStatus(index, wanted);
       }
-      resolve();
     });
-  });
+    result = { task: taskResult(tasks.find(item => item.id === task.id)) };
+  } else if (method === 'POST' && action === 'toggle') {
+    const index = findApiTask(ref);
+    const id = tasks[index].id;
+    const next = completeTask(index);
+    result = { task: taskResult(tasks.find(item => item.id === id)), next: next ? taskResult(next) : null };
+  } else if (method === 'DELETE' && !action) {
+    const index = findApiTask(ref);
+    const task = tasks[index];
+    deleteTask(index);
+    result = { task };
+  } else {
+    throw apiError(405, t('Methode {method} ist hier nicht erlaubt', { method }));
+  }
+
+  return { status, body: { saved: await saveTasks(), ...result } };
 }
 
-// Readline Interface initialisieren
-function initializeReadline() {
-  rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-    terminal: true
+// Lokalen HTTP-Server starten ("tododos serve"). Anfragen werden nacheinander abgearbeitet,
+// damit sich gleichzeitige Änderungen und Listenwechsel nicht in die Quere kommen.
+// Schreibende Anfragen und Listenwechsel brauchen das Token als "Authorization: Bearer <token>".
+// Browser dürfen nur von der in "cors" konfigurierten Herkunft aus zugreifen.
+// Liefert den Exit-Code, sobald der Server mit Strg+C bzw. SIGTERM beendet wird.
+function startServer() {
+  const port = Number(config.port);
+  const host = config.host;
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    console.error(chalk.red(t('✗ Ungültiger Port "{port}"', { port: config.port })));
+    return EXIT_USAGE;
+  }
+  const token = config.token || crypto.randomBytes(16).toString('hex');
+
+  let queue = Promise.resolve();
+  let lastLoad = Date.now();
+  const serialize = fn => {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+  const isAuthorized = request => {
+    const given = Buffer.from((request.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  };
+
+  // Der Handler fängt alle Fehler selbst ab - ein abgelehntes Promise würde den Server beenden
+  const server = http.createServer(async (request, response) => {
+    // Aufrufe aus Dashboards im Browser nur von der konfigurierten Herkunft, sonst könnte
+    // jede geöffnete Webseite die Aufgaben lesen
+    const headers = { 'Content-Type': 'application/json; charset=utf-8' };
+    if (config.cors) {
+      Object.assign(headers, {
+        'Access-Control-Allow-Origin': config.cors,
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+        'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+        Vary: 'Origin',
+      });
+    }
+
+    let status;
+    let body;
+    try {
+      // Nur Pfad und Parameter auswerten, der Host-Header kommt ungeprüft vom Client
+      let url;
+      try {
+        url = new URL(request.url, 'http://localhost');
+      } catch (error) {
+        throw apiError(400, t('Ungültige Adresse'));
+      }
+      const segments = url.pathname.split('/').filter(Boolean);
+      if (request.method === 'OPTIONS') {
+        status = 204;
+      } else {
+        const list = url.searchParams.get('list');
+        // Ein Listenwechsel lädt neu und speichert offene Änderungen, daher auch bei GET nur mit Token
+        if ((request.method !== 'GET' || (list && list !== currentList)) && !isAuthorized(request)) {
+          throw apiError(401, t('Token fehlt oder ist ungültig'));
+        }
+        const requestBody = ['POST', 'PATCH'].includes(request.method) ? await readJsonBody(request) : {};
+        ({ status, body } = await serialize(async () => {
+          if (list && list !== currentList) {
+            if (!getListNames().includes(list)) {
+              throw apiError(404, t('Liste "{name}" nicht gefunden', { name: list }));
+            }
+            await switchList(list);
+            lastLoad = Date.now();
+          } else if (Date.now() - lastLoad > SERVE_RELOAD_SECONDS * 1000) {
+            await loadTasks();
+            lastLoad = Date.now();
+          }
+          return handleApiRequest(request.method, segments, url.searchParams, requestBody);
+        }));
+      }
+    } catch (error) {
+      status = error.status || 500;
+      body = { error: error.message };
+    }
+
+    console.error(chalk.dim(`${request.method} ${request.url} → ${status}`));
+    try {
+      response.writeHead(status, headers);
+      response.end(body === undefined ? '' : `${JSON.stringify(body, null, 2)}\n`);
+    } catch (error) {
+      console.error(chalk.red(t('✗ Antwort konnte nicht gesendet werden: {message}', { message: error.message })));
+      response.destroy();
+    }
   });
-  
-  // Graceful shutdown
-  rl.on('SIGINT', () => {
-    console.log('\n\nAuf Wiedersehen! 👋');
-    process.exit(0);
+
+  return new Promise(resolve => {
+    const shutdown = async () => {
+      server.close();
+      await queue;
+      if (isDirty()) {
+        await saveTasks();
+      }
+      resolve(EXIT_OK);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
+    server.on('error', error => {
+      console.error(chalk.red(t('✗ Server konnte nicht gestartet werden: {message}', { message: error.message })));
+      resolve(EXIT_ERROR);
+    });
+    server.listen(port, host, () => {
+      console.error(chalk.green(t('✓ API läuft auf http://{host}:{port} (Liste "{list}")', { host, port, list: currentList })));
+      if (!config.token) {
+        console.error(t('   Token für schreibende Anfragen: {token}', { token }));
+        console.error(chalk.dim(t('   Ein festes Token lässt sich mit --token, TODODOS_TOKEN oder "token" in der Konfiguration setzen')));
+      }
+      console.error(chalk.dim(t('   Beenden mit Strg+C')));
+    });
   });
 }
 
 // Hauptfunktion
 async function main() {
+  interactive = true;
   console.clear();
   console.log(chalk.blue(figlet.textSync('TodoDOS', { font: 'Slant' })));
-  console.log(chalk.dim('Verbinde mit Google Sheets...'));
+  console.log(chalk.dim(t('Verbinde mit {storage}...', { storage: describeStorage() })));
   
   initializeReadline();
   
-  const connected = await connectToSheet();
+  const connected = await connectStorage();
+  initCurrentList();
   if (!connected) {
-    console.log(chalk.yellow('\nDu kannst die App trotzdem nutzen, aber Änderungen werden nicht in Google Sheets gespeichert.'));
+    loadCachedTasks();
+    console.log(chalk.yellow(t('\nDu kannst die App trotzdem nutzen. Änderungen werden lokal gespeichert und beim nächsten "save" oder "reload" übertragen.')));
   } else {
-    console.log(chalk.blue('📥 Lade Aufgaben aus Google Sheets...'));
+    // Noch nicht übertragene Änderungen der letzten Sitzung übernehmen
+    try {
+      restoreCache();
+    } catch (error) {
+      console.error(chalk.red(t('✗ Fehler beim Lesen des lokalen Caches:')));
+      console.error(chalk.dim(`   ${error.message}`));
+    }
+
+    console.log(chalk.blue(t('📥 Lade Aufgaben...')));
     const loaded = await loadTasks();
     if (loaded && tasks.length > 0) {
-      console.log(chalk.green(`✓ ${tasks.length} Aufgaben aus Google Sheets geladen`));
+      console.log(chalk.green(t('✓ {count} Aufgaben aus {storage} geladen', { count: tasks.length, storage: describeStorage() })));
     } else if (loaded && tasks.length === 0) {
-      console.log(chalk.dim('   Sheet ist leer - bereit für neue Aufgaben'));
+      console.log(chalk.dim(t('   Liste ist leer - bereit für neue Aufgaben')));
     }
   }
   
-  console.log(chalk.green('\n✓ TodoDOS bereit!'));
-  console.log(chalk.dim('Gib "help" für Hilfe ein.\n'));
+  console.log(chalk.green(t('\n✓ TodoDOS bereit!')));
+  console.log(chalk.dim(t('Gib "help" für Hilfe ein.\n')));
   
-  renderMainView();
-  showPrompt();
+  // Im Terminal mit Tastatursteuerung, sonst (z.B. bei umgeleiteter Eingabe) mit Eingabeaufforderung.
+  // Die Übersicht der fälligen Aufgaben kommt erst nach dem Aufbau des Bildschirms, sonst wäre sie gleich wieder weg.
+  if (process.stdin.isTTY && process.stdout.isTTY) {
+    statusMessage = overdueStatusLine();
+    startKeyboardMode();
+  } else {
+    renderMainView();
+    showOverdueSummary();
+    showPrompt();
+  }
+}
+
+// Starten der App - mit Kommando als einzelner Aufruf, sonst interaktiv
+let commandLine;
+try {
+  commandLine = parseCommandLine(process.argv.slice(2));
+  loadConfig(commandLine.values);
+} catch (error) {
+  console.error(chalk.red(`✗ ${error.message}`));
+  process.exit(EXIT_USAGE);
 }
 
-// Starten der App
-main().catch(error => {
-  console.error('Fehler beim Starten der App:', error);
+const { positionals, values: cliOptions } = commandLine;
+const start = positionals.length > 0 || cliOptions.help
+  ? runCli(positionals, cliOptions).then(code => process.exit(code))
+  : main();
+
+start.catch(error => {
+  console.error(t('Fehler beim Starten der App:'), error);
   process.exit(1);
-});
\ No newline at end of file
+});